@@ -9,6 +9,7 @@ const routes = require('./routes');
 const errorHandler = require('./middleware/errorHandler');
 const { createRateLimiter, rateLimitConfigs } = require('./middleware/rateLimiter');
 const Response = require('./utils/response');
+const jwtKeyStore = require('./utils/jwtKeyStore');
 
 const app = new Koa();
 
@@ -84,6 +85,9 @@ sequelize
     }
   })
   .then(() => {
+    // 加载JWT签名密钥并启动定时轮换
+    jwtKeyStore.startRotation();
+
     app.listen(PORT, () => {
       console.log(`🚀 服务器启动成功！`);
       console.log(`📍 服务地址: http://localhost:${PORT}`);
@@ -1,41 +1,64 @@
 const jwt = require('jsonwebtoken');
+const keyStore = require('../utils/jwtKeyStore');
 require('dotenv').config();
 
 const jwtConfig = {
-  secret: process.env.JWT_SECRET || 'your-secret-key-here',
-  expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+  expiresIn: process.env.JWT_EXPIRES_IN || '30m',
+  refreshTokenTTL: parseInt(process.env.JWT_REFRESH_TTL) || 7 * 24 * 3600, // 刷新令牌有效期(秒)
   issuer: process.env.JWT_ISSUER || 'mall-admin-api',
-  algorithm: 'HS256'
+  algorithm: 'RS256'
 };
 
 /**
- * 生成JWT令牌
+ * 生成JWT令牌（使用当前签名密钥，kid写入令牌头）
+ * 载荷中附加毫秒级签发时间 iat_ms，用于与吊销时间点精确比较
  * @param {Object} payload - 载荷数据
  * @param {String} expiresIn - 过期时间
  * @returns {String} token
  */
 function generateToken(payload, expiresIn = jwtConfig.expiresIn) {
-  return jwt.sign(payload, jwtConfig.secret, {
+  const key = keyStore.getSigningKey();
+
+  return jwt.sign({ ...payload, iat_ms: Date.now() }, key.privateKey, {
     expiresIn,
     issuer: jwtConfig.issuer,
-    algorithm: jwtConfig.algorithm
+    algorithm: jwtConfig.algorithm,
+    keyid: key.kid
   });
 }
 
 /**
- * 验证JWT令牌
+ * 验证JWT令牌（根据令牌头中的kid选择公钥）
  * @param {String} token - JWT令牌
  * @returns {Object} 解码后的载荷
  */
 function verifyToken(token) {
-  return jwt.verify(token, jwtConfig.secret, {
+  const decoded = jwt.decode(token, { complete: true });
+  const kid = decoded && decoded.header.kid;
+  const key = kid && keyStore.getVerificationKey(kid);
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('未知的签名密钥');
+  }
+
+  return jwt.verify(token, key.publicKey, {
     issuer: jwtConfig.issuer,
     algorithms: [jwtConfig.algorithm]
   });
 }
 
+/**
+ * 解码JWT令牌（不校验签名）
+ * @param {String} token - JWT令牌
+ * @returns {Object|null} 解码后的载荷
+ */
+function decodeToken(token) {
+  return jwt.decode(token);
+}
+
 module.exports = {
   jwtConfig,
   generateToken,
-  verifyToken
+  verifyToken,
+  decodeToken
 };
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * 读取布尔型环境变量
+ * @param {String} name - 变量名
+ * @param {Boolean} defaultValue - 默认值
+ * @returns {Boolean}
+ */
+function envFlag(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return value === 'true' || value === '1';
+}
+
+// bcrypt 只使用密码的前72个字节，超出部分会被忽略
+const BCRYPT_MAX_BYTES = 72;
+
+const passwordPolicy = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: Math.min(parseInt(process.env.PASSWORD_MAX_LENGTH) || 64, BCRYPT_MAX_BYTES),
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireDigit: envFlag('PASSWORD_REQUIRE_DIGIT', true),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+  // 禁止重复使用最近N次的密码（含当前密码），0表示不限制
+  historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT ?? 5),
+  // 密码最长有效天数，0表示永不过期
+  maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS ?? 90)
+};
+
+// 常见弱密码列表，每行一个，比较时忽略大小写
+const bannedPasswords = new Set(
+  fs
+    .readFileSync(path.join(__dirname, 'banned-passwords.txt'), 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'))
+);
+
+module.exports = {
+  BCRYPT_MAX_BYTES,
+  passwordPolicy,
+  bannedPasswords
+};
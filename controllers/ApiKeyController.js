@@ -0,0 +1,55 @@
+const apiKeyService = require('../services/ApiKeyService');
+const Response = require('../utils/response');
+const logger = require('../utils/logger');
+
+class ApiKeyController {
+  /**
+   * 获取当前用户的API密钥列表
+   * @param {Object} ctx - Koa上下文
+   */
+  async getApiKeys(ctx) {
+    try {
+      const userId = ctx.state.userId;
+      const result = await apiKeyService.listKeys(userId);
+      Response.success(ctx, result, '获取API密钥列表成功');
+    } catch (error) {
+      logger.error('获取API密钥列表失败:', error);
+      Response.error(ctx, error.message || '获取API密钥列表失败', -1, 500);
+    }
+  }
+
+  /**
+   * 创建API密钥
+   * @param {Object} ctx - Koa上下文
+   */
+  async createApiKey(ctx) {
+    try {
+      const userId = ctx.state.userId;
+      const result = await apiKeyService.createKey(userId, ctx.request.body);
+      Response.success(ctx, result, 'API密钥创建成功，请妥善保存，密钥仅显示一次');
+    } catch (error) {
+      logger.error('创建API密钥失败:', error);
+      Response.error(ctx, error.message || '创建API密钥失败', -1, 400);
+    }
+  }
+
+  /**
+   * 吊销API密钥
+   * @param {Object} ctx - Koa上下文
+   */
+  async revokeApiKey(ctx) {
+    try {
+      const userId = ctx.state.userId;
+      const { id } = ctx.params;
+
+      await apiKeyService.revokeKey(userId, id);
+      Response.success(ctx, null, 'API密钥已吊销');
+    } catch (error) {
+      logger.error('吊销API密钥失败:', error);
+      Response.error(ctx, error.message || '吊销API密钥失败', -1, 400);
+    }
+  }
+}
+
+// 导出实例
+module.exports = new ApiKeyController();
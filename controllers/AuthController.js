@@ -1,6 +1,13 @@
 const logger = require('../utils/logger');
 const authService = require('../services/AuthService');
+const mfaService = require('../services/MfaService');
+const loginLogService = require('../services/LoginLogService');
+const passwordPolicyService = require('../services/PasswordPolicyService');
+const impersonationService = require('../services/ImpersonationService');
+const captchaService = require('../services/CaptchaService');
+const permissionService = require('../services/PermissionService');
 const Response = require('../utils/response');
+const { getClientInfo } = require('../utils/request');
 
 class AuthController {
   /**
@@ -10,12 +17,8 @@ class AuthController {
   async login(ctx) {
     try {
       const { email, password } = ctx.request.body;
-      const clientIp =
-        ctx.request.ip ||
-        ctx.request.header['x-forwarded-for'] ||
-        ctx.request.socket.remoteAddress;
 
-      const result = await authService.login(email, password, clientIp);
+      const result = await authService.login(email, password, getClientInfo(ctx));
       Response.success(ctx, result, '登录成功');
     } catch (error) {
       logger.error('登录失败:', error);
@@ -23,6 +26,169 @@ class AuthController {
     }
   }
 
+  /**
+   * 两步验证登录
+   * @param {Object} ctx - Koa上下文
+   */
+  async loginWithMfa(ctx) {
+    try {
+      const { mfa_token, code, recovery_code } = ctx.request.body;
+
+      const result = await authService.loginWithMfa(
+        mfa_token,
+        { code, recovery_code },
+        getClientInfo(ctx)
+      );
+      Response.success(ctx, result, '登录成功');
+    } catch (error) {
+      logger.error('两步验证登录失败:', error);
+      Response.error(ctx, error.message || '两步验证失败', -1, 401);
+    }
+  }
+
+  /**
+   * 登录过程中绑定两步验证：获取二维码
+   * @param {Object} ctx - Koa上下文
+   */
+  async setupMfaForLogin(ctx) {
+    try {
+      const { mfa_token } = ctx.request.body;
+      const result = await authService.setupMfaForLogin(mfa_token);
+      Response.success(ctx, result, '请使用认证器App扫描二维码');
+    } catch (error) {
+      logger.error('获取两步验证二维码失败:', error);
+      Response.error(ctx, error.message || '获取二维码失败', -1, 400);
+    }
+  }
+
+  /**
+   * 登录过程中绑定两步验证：确认绑定并完成登录
+   * @param {Object} ctx - Koa上下文
+   */
+  async enableMfaForLogin(ctx) {
+    try {
+      const { mfa_token, code } = ctx.request.body;
+
+      const result = await authService.enableMfaForLogin(
+        mfa_token,
+        code,
+        getClientInfo(ctx)
+      );
+      Response.success(ctx, result, '两步验证已启用，登录成功');
+    } catch (error) {
+      logger.error('启用两步验证失败:', error);
+      Response.error(ctx, error.message || '启用两步验证失败', -1, 400);
+    }
+  }
+
+  /**
+   * 登录时修改已过期的密码
+   * @param {Object} ctx - Koa上下文
+   */
+  async changeExpiredPassword(ctx) {
+    try {
+      const { password_token, new_password } = ctx.request.body;
+
+      const result = await authService.changeExpiredPassword(
+        password_token,
+        new_password,
+        getClientInfo(ctx)
+      );
+      Response.success(ctx, result, '密码修改成功，登录成功');
+    } catch (error) {
+      logger.error('修改过期密码失败:', error);
+      Response.error(ctx, error.message || '修改密码失败', -1, 400);
+    }
+  }
+
+  /**
+   * 获取密码策略
+   * @param {Object} ctx - Koa上下文
+   */
+  async getPasswordPolicy(ctx) {
+    Response.success(ctx, passwordPolicyService.getPolicy(), '获取密码策略成功');
+  }
+
+  /**
+   * 发送快捷登录链接
+   * @param {Object} ctx - Koa上下文
+   */
+  async sendMagicLink(ctx) {
+    try {
+      const { email } = ctx.request.body;
+      await authService.sendMagicLink(email);
+      Response.success(ctx, null, '如果该邮箱已开启快捷登录，登录链接将发送至邮箱');
+    } catch (error) {
+      logger.error('发送快捷登录链接失败:', error);
+      Response.error(ctx, '发送快捷登录链接失败', -1, 500);
+    }
+  }
+
+  /**
+   * 使用快捷登录链接登录
+   * @param {Object} ctx - Koa上下文
+   */
+  async consumeMagicLink(ctx) {
+    try {
+      const { token } = ctx.request.body;
+      const result = await authService.consumeMagicLink(token, getClientInfo(ctx));
+      Response.success(ctx, result, '登录成功');
+    } catch (error) {
+      logger.error('快捷登录失败:', error);
+      Response.error(ctx, error.message || '快捷登录失败', -1, 401);
+    }
+  }
+
+  /**
+   * 设置是否开启快捷登录
+   * @param {Object} ctx - Koa上下文
+   */
+  async setMagicLinkPreference(ctx) {
+    try {
+      const userId = ctx.state.userId;
+      const { enabled } = ctx.request.body;
+
+      await authService.setMagicLinkEnabled(userId, enabled);
+      Response.success(ctx, null, enabled ? '快捷登录已开启' : '快捷登录已关闭');
+    } catch (error) {
+      logger.error('设置快捷登录失败:', error);
+      Response.error(ctx, error.message || '设置快捷登录失败', -1, 500);
+    }
+  }
+
+  /**
+   * 获取图形验证码
+   * @param {Object} ctx - Koa上下文
+   */
+  async getCaptcha(ctx) {
+    try {
+      const result = await captchaService.generate();
+      ctx.set('Cache-Control', 'no-store');
+      Response.success(ctx, result, '获取验证码成功');
+    } catch (error) {
+      logger.error('生成图形验证码失败:', error);
+      Response.error(ctx, '生成图形验证码失败', -1, 500);
+    }
+  }
+
+  /**
+   * 刷新访问令牌
+   * @param {Object} ctx - Koa上下文
+   */
+  async refreshToken(ctx) {
+    try {
+      const { refresh_token } = ctx.request.body;
+      const result = await authService.refreshToken(
+        refresh_token,
+        getClientInfo(ctx).ip
+      );
+      Response.success(ctx, result, '刷新令牌成功');
+    } catch (error) {
+      logger.error('刷新令牌失败:', error);
+      Response.error(ctx, error.message || '刷新令牌失败', -1, 401);
+    }
+  }
+
   /**
    * 获取当前用户信息
    * @param {Object} ctx - Koa上下文
@@ -31,6 +197,12 @@ class AuthController {
     try {
       const userId = ctx.state.userId;
       const result = await authService.getCurrentUser(userId);
+
+      // 模拟登录时返回真实操作人，便于前端显示提示
+      if (ctx.state.impersonatorId) {
+        result.impersonator_id = ctx.state.impersonatorId;
+      }
+
       Response.success(ctx, result, '获取用户信息成功');
     } catch (error) {
       logger.error('获取用户信息失败:', error);
@@ -38,6 +210,20 @@ class AuthController {
     }
   }
 
+  /**
+   * 获取当前用户的菜单树和按钮权限
+   * @param {Object} ctx - Koa上下文
+   */
+  async getMenus(ctx) {
+    try {
+      const result = await permissionService.getUserMenus(ctx.state.userId);
+      Response.success(ctx, result, '获取菜单成功');
+    } catch (error) {
+      logger.error('获取菜单失败:', error);
+      Response.error(ctx, error.message || '获取菜单失败', -1, 500);
+    }
+  }
+
   /**
    * 用户注册
    * @param {Object} ctx - Koa上下文
@@ -45,12 +231,8 @@ class AuthController {
   async register(ctx) {
     try {
       const userData = ctx.request.body;
-      const clientIp =
-        ctx.request.ip ||
-        ctx.request.header['x-forwarded-for'] ||
-        ctx.request.socket.remoteAddress;
 
-      const result = await authService.register(userData, clientIp);
+      const result = await authService.register(userData, getClientInfo(ctx).ip);
       Response.success(ctx, result, '注册信息已提交');
     } catch (error) {
       logger.error('注册失败:', error);
@@ -65,7 +247,7 @@ class AuthController {
   async verifyEmail(ctx) {
     try {
       const { email, code } = ctx.request.body;
-      const result = await authService.verifyEmail(email, code);
+      const result = await authService.verifyEmail(email, code, getClientInfo(ctx));
       Response.success(ctx, result, '邮箱验证成功');
     } catch (error) {
       logger.error('邮箱验证失败:', error);
@@ -88,6 +270,36 @@ class AuthController {
     }
   }
 
+  /**
+   * 忘记密码
+   * @param {Object} ctx - Koa上下文
+   */
+  async forgotPassword(ctx) {
+    try {
+      const { email } = ctx.request.body;
+      await authService.forgotPassword(email);
+      Response.success(ctx, null, '如果该邮箱已注册，您将收到密码重置邮件');
+    } catch (error) {
+      logger.error('忘记密码处理失败:', error);
+      Response.error(ctx, '请求处理失败', -1, 500);
+    }
+  }
+
+  /**
+   * 重置密码
+   * @param {Object} ctx - Koa上下文
+   */
+  async resetPassword(ctx) {
+    try {
+      const { email, code, new_password } = ctx.request.body;
+      await authService.resetPassword(email, code, new_password);
+      Response.success(ctx, null, '密码重置成功，请重新登录');
+    } catch (error) {
+      logger.error('重置密码失败:', error);
+      Response.error(ctx, error.message || '重置密码失败', -1, 400);
+    }
+  }
+
   /**
    * 修改密码
    * @param {Object} ctx - Koa上下文
@@ -105,13 +317,189 @@ class AuthController {
     }
   }
 
+  /**
+   * 申请更换邮箱
+   * @param {Object} ctx - Koa上下文
+   */
+  async changeEmail(ctx) {
+    try {
+      const userId = ctx.state.userId;
+      const { new_email, password } = ctx.request.body;
+
+      await authService.requestEmailChange(userId, new_email, password);
+      Response.success(ctx, null, '验证码已发送至新邮箱，请查收');
+    } catch (error) {
+      logger.error('申请更换邮箱失败:', error);
+      Response.error(ctx, error.message || '申请更换邮箱失败', -1, 400);
+    }
+  }
+
+  /**
+   * 确认更换邮箱
+   * @param {Object} ctx - Koa上下文
+   */
+  async verifyEmailChange(ctx) {
+    try {
+      const userId = ctx.state.userId;
+      const { code } = ctx.request.body;
+
+      const result = await authService.confirmEmailChange(userId, code);
+      Response.success(ctx, result, '邮箱更换成功');
+    } catch (error) {
+      logger.error('确认更换邮箱失败:', error);
+      Response.error(ctx, error.message || '确认更换邮箱失败', -1, 400);
+    }
+  }
+
+  /**
+   * 绑定两步验证：获取二维码
+   * @param {Object} ctx - Koa上下文
+   */
+  async setupMfa(ctx) {
+    try {
+      const userId = ctx.state.userId;
+      const result = await mfaService.setup(userId);
+      Response.success(ctx, result, '请使用认证器App扫描二维码');
+    } catch (error) {
+      logger.error('获取两步验证二维码失败:', error);
+      Response.error(ctx, error.message || '获取二维码失败', -1, 400);
+    }
+  }
+
+  /**
+   * 确认绑定并启用两步验证
+   * @param {Object} ctx - Koa上下文
+   */
+  async enableMfa(ctx) {
+    try {
+      const userId = ctx.state.userId;
+      const { code } = ctx.request.body;
+
+      const recoveryCodes = await mfaService.enable(userId, code);
+      Response.success(ctx, { recovery_codes: recoveryCodes }, '两步验证已启用');
+    } catch (error) {
+      logger.error('启用两步验证失败:', error);
+      Response.error(ctx, error.message || '启用两步验证失败', -1, 400);
+    }
+  }
+
+  /**
+   * 关闭两步验证
+   * @param {Object} ctx - Koa上下文
+   */
+  async disableMfa(ctx) {
+    try {
+      const userId = ctx.state.userId;
+      const { password, code } = ctx.request.body;
+
+      await mfaService.disable(userId, password, code);
+      Response.success(ctx, null, '两步验证已关闭');
+    } catch (error) {
+      logger.error('关闭两步验证失败:', error);
+      Response.error(ctx, error.message || '关闭两步验证失败', -1, 400);
+    }
+  }
+
+  /**
+   * 重新生成两步验证恢复码
+   * @param {Object} ctx - Koa上下文
+   */
+  async regenerateRecoveryCodes(ctx) {
+    try {
+      const userId = ctx.state.userId;
+      const { code } = ctx.request.body;
+
+      const recoveryCodes = await mfaService.regenerateRecoveryCodes(userId, code);
+      Response.success(ctx, { recovery_codes: recoveryCodes }, '恢复码已重新生成');
+    } catch (error) {
+      logger.error('重新生成恢复码失败:', error);
+      Response.error(ctx, error.message || '重新生成恢复码失败', -1, 400);
+    }
+  }
+
+  /**
+   * 获取当前用户的登录会话列表
+   * @param {Object} ctx - Koa上下文
+   */
+  async getSessions(ctx) {
+    try {
+      const userId = ctx.state.userId;
+      const { sid } = ctx.state.tokenPayload;
+
+      const result = await authService.getSessions(userId, sid);
+      Response.success(ctx, result, '获取会话列表成功');
+    } catch (error) {
+      logger.error('获取会话列表失败:', error);
+      Response.error(ctx, error.message || '获取会话列表失败', -1, 500);
+    }
+  }
+
+  /**
+   * 获取当前用户的登录记录
+   * @param {Object} ctx - Koa上下文
+   */
+  async getLoginHistory(ctx) {
+    try {
+      const userId = ctx.state.userId;
+      const { page = 1, pageSize = 10 } = ctx.request.query;
+
+      const result = await loginLogService.getUserLoginHistory(userId, {
+        page: parseInt(page),
+        pageSize: parseInt(pageSize)
+      });
+
+      Response.page(
+        ctx,
+        result.list,
+        result.total,
+        page,
+        pageSize,
+        '获取登录记录成功'
+      );
+    } catch (error) {
+      logger.error('获取登录记录失败:', error);
+      Response.error(ctx, error.message || '获取登录记录失败', -1, 500);
+    }
+  }
+
+  /**
+   * 注销指定会话
+   * @param {Object} ctx - Koa上下文
+   */
+  async revokeSession(ctx) {
+    try {
+      const userId = ctx.state.userId;
+      const { id } = ctx.params;
+
+      await authService.revokeSession(userId, id);
+      Response.success(ctx, null, '会话已注销');
+    } catch (error) {
+      logger.error('注销会话失败:', error);
+      Response.error(ctx, error.message || '注销会话失败', -1, 400);
+    }
+  }
+
+  /**
+   * 结束模拟登录
+   * @param {Object} ctx - Koa上下文
+   */
+  async stopImpersonation(ctx) {
+    try {
+      await impersonationService.stop(ctx.state.tokenPayload, getClientInfo(ctx));
+      Response.success(ctx, null, '已结束模拟登录');
+    } catch (error) {
+      logger.error('结束模拟登录失败:', error);
+      Response.error(ctx, error.message || '结束模拟登录失败', -1, 400);
+    }
+  }
+
   /**
    * 退出登录
    * @param {Object} ctx - Koa上下文
    */
   async logout(ctx) {
     try {
-      // 实际应用中可以将token加入黑名单
+      await authService.logout(ctx.state.tokenPayload, getClientInfo(ctx));
       Response.success(ctx, null, '退出登录成功');
     } catch (error) {
       logger.error('退出登录失败:', error);
@@ -0,0 +1,133 @@
+const departmentService = require('../services/DepartmentService');
+const Response = require('../utils/response');
+const logger = require('../utils/logger');
+
+class DepartmentController {
+  /**
+   * 获取部门树
+   * @param {Object} ctx - Koa上下文
+   */
+  async getDepartmentTree(ctx) {
+    try {
+      const tree = await departmentService.getDepartmentTree();
+      Response.success(ctx, tree, '获取部门树成功');
+    } catch (error) {
+      logger.error('获取部门树失败:', error);
+      Response.error(ctx, error.message || '获取部门树失败', -1, 500);
+    }
+  }
+
+  /**
+   * 根据ID获取部门详情
+   * @param {Object} ctx - Koa上下文
+   */
+  async getDepartmentById(ctx) {
+    try {
+      const { id } = ctx.params;
+      const result = await departmentService.getDepartmentById(id);
+      Response.success(ctx, result, '获取部门详情成功');
+    } catch (error) {
+      logger.error('获取部门详情失败:', error);
+      Response.error(ctx, error.message || '获取部门详情失败', -1, 500);
+    }
+  }
+
+  /**
+   * 创建部门
+   * @param {Object} ctx - Koa上下文
+   */
+  async createDepartment(ctx) {
+    try {
+      const department = await departmentService.createDepartment(ctx.request.body);
+      Response.success(ctx, department, '创建部门成功');
+    } catch (error) {
+      logger.error('创建部门失败:', error);
+      Response.error(ctx, error.message || '创建部门失败', -1, 500);
+    }
+  }
+
+  /**
+   * 更新部门信息
+   * @param {Object} ctx - Koa上下文
+   */
+  async updateDepartment(ctx) {
+    try {
+      const { id } = ctx.params;
+      const department = await departmentService.updateDepartment(id, ctx.request.body);
+      Response.success(ctx, department, '更新部门成功');
+    } catch (error) {
+      logger.error('更新部门失败:', error);
+      Response.error(ctx, error.message || '更新部门失败', -1, 500);
+    }
+  }
+
+  /**
+   * 移动部门
+   * @param {Object} ctx - Koa上下文
+   */
+  async moveDepartment(ctx) {
+    try {
+      const { id } = ctx.params;
+      const { parent_id, sort_order } = ctx.request.body;
+
+      const department = await departmentService.moveDepartment(id, parent_id, sort_order);
+      Response.success(ctx, department, '移动部门成功');
+    } catch (error) {
+      logger.error('移动部门失败:', error);
+      Response.error(ctx, error.message || '移动部门失败', -1, 500);
+    }
+  }
+
+  /**
+   * 删除部门
+   * @param {Object} ctx - Koa上下文
+   */
+  async deleteDepartment(ctx) {
+    try {
+      const { id } = ctx.params;
+
+      await departmentService.deleteDepartment(id);
+      Response.success(ctx, null, '删除部门成功');
+    } catch (error) {
+      logger.error('删除部门失败:', error);
+      Response.error(ctx, error.message || '删除部门失败', -1, 500);
+    }
+  }
+
+  /**
+   * 获取部门成员
+   * @param {Object} ctx - Koa上下文
+   */
+  async getDepartmentUsers(ctx) {
+    try {
+      const { id } = ctx.params;
+      const { page = 1, pageSize = 10, include_children } = ctx.request.query;
+
+      const result = await departmentService.getDepartmentUsers(
+        id,
+        {
+          page: parseInt(page),
+          pageSize: parseInt(pageSize),
+          // 查询参数为字符串，未传时默认包含下级部门
+          include_children: include_children !== 'false'
+        },
+        ctx.state.userId
+      );
+
+      Response.page(
+        ctx,
+        result.list,
+        result.total,
+        page,
+        pageSize,
+        '获取部门成员成功'
+      );
+    } catch (error) {
+      logger.error('获取部门成员失败:', error);
+      Response.error(ctx, error.message || '获取部门成员失败', -1, 500);
+    }
+  }
+}
+
+// 导出实例
+module.exports = new DepartmentController();
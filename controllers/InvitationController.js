@@ -0,0 +1,116 @@
+const invitationService = require('../services/InvitationService');
+const Response = require('../utils/response');
+const logger = require('../utils/logger');
+
+class InvitationController {
+  /**
+   * 获取邀请列表
+   * @param {Object} ctx - Koa上下文
+   */
+  async getInvitations(ctx) {
+    try {
+      const { page = 1, pageSize = 10, email, status } = ctx.request.query;
+
+      const result = await invitationService.getInvitations(
+        parseInt(page),
+        parseInt(pageSize),
+        { email, status }
+      );
+
+      Response.page(
+        ctx,
+        result.list,
+        result.total,
+        page,
+        pageSize,
+        '获取邀请列表成功'
+      );
+    } catch (error) {
+      logger.error('获取邀请列表失败:', error);
+      Response.error(ctx, error.message || '获取邀请列表失败', -1, 500);
+    }
+  }
+
+  /**
+   * 邀请新用户
+   * @param {Object} ctx - Koa上下文
+   */
+  async createInvitation(ctx) {
+    try {
+      const result = await invitationService.createInvitation(
+        ctx.state.userId,
+        ctx.request.body,
+        ctx.state.apiKey
+      );
+      Response.success(ctx, result, '邀请已发送');
+    } catch (error) {
+      logger.error('发送邀请失败:', error);
+      Response.error(ctx, error.message || '发送邀请失败', -1, 400);
+    }
+  }
+
+  /**
+   * 重新发送邀请
+   * @param {Object} ctx - Koa上下文
+   */
+  async resendInvitation(ctx) {
+    try {
+      const { id } = ctx.params;
+      const result = await invitationService.resendInvitation(
+        parseInt(id),
+        ctx.state.userId,
+        ctx.state.apiKey
+      );
+      Response.success(ctx, result, '邀请已重新发送');
+    } catch (error) {
+      logger.error('重新发送邀请失败:', error);
+      Response.error(ctx, error.message || '重新发送邀请失败', -1, 400);
+    }
+  }
+
+  /**
+   * 撤销邀请
+   * @param {Object} ctx - Koa上下文
+   */
+  async revokeInvitation(ctx) {
+    try {
+      const { id } = ctx.params;
+      await invitationService.revokeInvitation(parseInt(id), ctx.state.userId);
+      Response.success(ctx, null, '邀请已撤销');
+    } catch (error) {
+      logger.error('撤销邀请失败:', error);
+      Response.error(ctx, error.message || '撤销邀请失败', -1, 400);
+    }
+  }
+
+  /**
+   * 根据邀请令牌获取邀请信息
+   * @param {Object} ctx - Koa上下文
+   */
+  async getInvitationByToken(ctx) {
+    try {
+      const result = await invitationService.getInvitationByToken(ctx.request.query.token);
+      Response.success(ctx, result, '获取邀请信息成功');
+    } catch (error) {
+      logger.error('获取邀请信息失败:', error);
+      Response.error(ctx, error.message || '获取邀请信息失败', -1, 400);
+    }
+  }
+
+  /**
+   * 接受邀请并创建账户
+   * @param {Object} ctx - Koa上下文
+   */
+  async acceptInvitation(ctx) {
+    try {
+      const result = await invitationService.acceptInvitation(ctx.request.body);
+      Response.success(ctx, result, '账户创建成功，请使用邮箱登录');
+    } catch (error) {
+      logger.error('接受邀请失败:', error);
+      Response.error(ctx, error.message || '接受邀请失败', -1, 400);
+    }
+  }
+}
+
+// 导出实例
+module.exports = new InvitationController();
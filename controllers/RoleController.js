@@ -33,6 +33,20 @@ class RoleController {
     }
   }
 
+  /**
+   * 获取角色树
+   * @param {Object} ctx - Koa上下文
+   */
+  async getRoleTree(ctx) {
+    try {
+      const tree = await roleService.getRoleTree();
+      Response.success(ctx, tree, '获取角色树成功');
+    } catch (error) {
+      logger.error('获取角色树失败:', error);
+      Response.error(ctx, error.message || '获取角色树失败', -1, 500);
+    }
+  }
+
   /**
    * 根据ID获取角色详情
    * @param {Object} ctx - Koa上下文
@@ -111,6 +125,23 @@ class RoleController {
       Response.error(ctx, error.message || '分配权限失败', -1, 500);
     }
   }
+
+  /**
+   * 设置角色的数据范围
+   * @param {Object} ctx - Koa上下文
+   */
+  async setDataScope(ctx) {
+    try {
+      const { id } = ctx.params;
+      const { data_scope, department_ids } = ctx.request.body;
+
+      await roleService.setDataScope(id, data_scope, department_ids);
+      Response.success(ctx, null, '设置数据范围成功');
+    } catch (error) {
+      logger.error('设置数据范围失败:', error);
+      Response.error(ctx, error.message || '设置数据范围失败', -1, 500);
+    }
+  }
 }
 
 // 导出实例
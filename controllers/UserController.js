@@ -1,6 +1,8 @@
 const userService = require('../services/UserService');
+const impersonationService = require('../services/ImpersonationService');
 const Response = require('../utils/response');
 const logger = require('../utils/logger');
+const { getClientInfo } = require('../utils/request');
 
 class UserController {
   /**
@@ -14,18 +16,26 @@ class UserController {
         pageSize = 10,
         username,
         email,
-        status
+        status,
+        department_id,
+        include_children
       } = ctx.request.query;
 
       const filters = {};
       if (username) filters.username = username;
       if (email) filters.email = email;
       if (status !== undefined) filters.status = parseInt(status);
+      if (department_id) {
+        filters.department_id = department_id;
+        // 查询参数为字符串，未传时默认包含下级部门
+        filters.include_children = include_children !== 'false';
+      }
 
       const result = await userService.getUsers(
         parseInt(page),
         parseInt(pageSize),
-        filters
+        filters,
+        ctx.state.userId
       );
 
       Response.page(
@@ -122,6 +132,147 @@ class UserController {
     }
   }
 
+  /**
+   * 吊销用户的全部令牌
+   * @param {Object} ctx - Koa上下文
+   */
+  async revokeTokens(ctx) {
+    try {
+      const { id } = ctx.params;
+
+      await userService.revokeUserTokens(id);
+      Response.success(ctx, null, '吊销令牌成功');
+    } catch (error) {
+      logger.error('吊销令牌失败:', error);
+      Response.error(ctx, error.message || '吊销令牌失败', -1, 500);
+    }
+  }
+
+  /**
+   * 获取用户的登录会话列表
+   * @param {Object} ctx - Koa上下文
+   */
+  async getUserSessions(ctx) {
+    try {
+      const { id } = ctx.params;
+      const result = await userService.getUserSessions(id);
+      Response.success(ctx, result, '获取会话列表成功');
+    } catch (error) {
+      logger.error('获取会话列表失败:', error);
+      Response.error(ctx, error.message || '获取会话列表失败', -1, 500);
+    }
+  }
+
+  /**
+   * 获取用户的登录记录
+   * @param {Object} ctx - Koa上下文
+   */
+  async getUserLoginHistory(ctx) {
+    try {
+      const { id } = ctx.params;
+      const { page = 1, pageSize = 10 } = ctx.request.query;
+
+      const result = await userService.getUserLoginHistory(id, {
+        page: parseInt(page),
+        pageSize: parseInt(pageSize)
+      });
+
+      Response.page(
+        ctx,
+        result.list,
+        result.total,
+        page,
+        pageSize,
+        '获取登录记录成功'
+      );
+    } catch (error) {
+      logger.error('获取登录记录失败:', error);
+      Response.error(ctx, error.message || '获取登录记录失败', -1, 500);
+    }
+  }
+
+  /**
+   * 强制注销用户的指定会话
+   * @param {Object} ctx - Koa上下文
+   */
+  async revokeUserSession(ctx) {
+    try {
+      const { id, sessionId } = ctx.params;
+
+      await userService.revokeUserSession(id, sessionId);
+      Response.success(ctx, null, '会话已注销');
+    } catch (error) {
+      logger.error('注销会话失败:', error);
+      Response.error(ctx, error.message || '注销会话失败', -1, 500);
+    }
+  }
+
+  /**
+   * 解除用户登录锁定
+   * @param {Object} ctx - Koa上下文
+   */
+  async unlockUser(ctx) {
+    try {
+      const { id } = ctx.params;
+
+      await userService.unlockUser(id);
+      Response.success(ctx, null, '解除锁定成功');
+    } catch (error) {
+      logger.error('解除锁定失败:', error);
+      Response.error(ctx, error.message || '解除锁定失败', -1, 500);
+    }
+  }
+
+  /**
+   * 模拟登录为指定用户
+   * @param {Object} ctx - Koa上下文
+   */
+  async impersonate(ctx) {
+    try {
+      const { id } = ctx.params;
+      const { reason } = ctx.request.body;
+
+      const result = await impersonationService.start(
+        ctx.state.userId,
+        parseInt(id),
+        reason,
+        getClientInfo(ctx)
+      );
+      Response.success(ctx, result, '模拟登录成功');
+    } catch (error) {
+      logger.error('模拟登录失败:', error);
+      Response.error(ctx, error.message || '模拟登录失败', -1, 400);
+    }
+  }
+
+  /**
+   * 获取用户被模拟登录的记录
+   * @param {Object} ctx - Koa上下文
+   */
+  async getImpersonationLogs(ctx) {
+    try {
+      const { id } = ctx.params;
+      const { page = 1, pageSize = 10 } = ctx.request.query;
+
+      const result = await impersonationService.getLogs(id, {
+        page: parseInt(page),
+        pageSize: parseInt(pageSize)
+      });
+
+      Response.page(
+        ctx,
+        result.list,
+        result.total,
+        page,
+        pageSize,
+        '获取模拟登录记录成功'
+      );
+    } catch (error) {
+      logger.error('获取模拟登录记录失败:', error);
+      Response.error(ctx, error.message || '获取模拟登录记录失败', -1, 500);
+    }
+  }
+
   /**
    * 重置用户密码
    * @param {Object} ctx - Koa上下文
@@ -138,6 +289,76 @@ class UserController {
       Response.error(ctx, error.message || '重置密码失败', -1, 500);
     }
   }
+
+  /**
+   * 获取待审核的注册申请
+   * @param {Object} ctx - Koa上下文
+   */
+  async getPendingRegistrations(ctx) {
+    try {
+      const { page = 1, pageSize = 10 } = ctx.request.query;
+
+      const result = await userService.getPendingRegistrations(
+        parseInt(page),
+        parseInt(pageSize)
+      );
+
+      Response.page(
+        ctx,
+        result.list,
+        result.total,
+        page,
+        pageSize,
+        '获取待审核注册申请成功'
+      );
+    } catch (error) {
+      logger.error('获取待审核注册申请失败:', error);
+      Response.error(ctx, error.message || '获取待审核注册申请失败', -1, 500);
+    }
+  }
+
+  /**
+   * 审核通过注册申请
+   * @param {Object} ctx - Koa上下文
+   */
+  async approveRegistration(ctx) {
+    try {
+      const { id } = ctx.params;
+      const { role_ids } = ctx.request.body;
+
+      const result = await userService.approveRegistration(
+        parseInt(id),
+        role_ids,
+        ctx.state.userId,
+        ctx.state.apiKey
+      );
+      Response.success(ctx, result, '审核通过');
+    } catch (error) {
+      logger.error('审核注册申请失败:', error);
+      Response.error(ctx, error.message || '审核注册申请失败', -1, 400);
+    }
+  }
+
+  /**
+   * 拒绝注册申请
+   * @param {Object} ctx - Koa上下文
+   */
+  async rejectRegistration(ctx) {
+    try {
+      const { id } = ctx.params;
+      const { reason } = ctx.request.body;
+
+      const result = await userService.rejectRegistration(
+        parseInt(id),
+        reason,
+        ctx.state.userId
+      );
+      Response.success(ctx, result, '已拒绝注册申请');
+    } catch (error) {
+      logger.error('拒绝注册申请失败:', error);
+      Response.error(ctx, error.message || '拒绝注册申请失败', -1, 400);
+    }
+  }
 }
 
 // 导出实例
@@ -0,0 +1,79 @@
+const authorizationService = require('../services/AuthorizationService');
+const { hasPermission } = require('../utils/permissionMatcher');
+const Response = require('../utils/response');
+const logger = require('../utils/logger');
+
+// 严格模式下，未在权限表中配置的接口一律拒绝访问
+const API_AUTH_STRICT = process.env.API_AUTH_STRICT === 'true';
+
+// 覆盖模式下，命中数据库配置的接口只按数据库中的映射鉴权，跳过路由上声明的权限
+const API_AUTH_OVERRIDE = process.env.API_AUTH_OVERRIDE === 'true';
+
+/**
+ * 获取当前请求匹配到的路由模板（含前缀），如 `/api/users/:id`
+ * 路由级中间件执行时 `ctx._matchedRoute` 可能还是 router.use 的路径，
+ * 因此从已匹配的路由层中取第一个匹配请求方法的路由（即实际处理请求的路由）
+ * @param {Object} ctx - Koa上下文
+ * @returns {String|null} 路由模板
+ */
+function getRouteTemplate(ctx) {
+  const layer = (ctx.matched || []).find(
+    (item) => item.methods.length > 0 && item.methods.includes(ctx.method)
+  );
+
+  return layer ? layer.path : null;
+}
+
+/**
+ * 接口动态授权中间件
+ * 根据权限表中接口权限配置的路径和方法鉴权，需放在 authenticate 之后；
+ * 命中配置时需拥有任一映射权限，路由上声明的权限校验仍然生效（两者都需满足）；
+ * 开启覆盖模式时由数据库配置决定，路由上声明的权限不再校验
+ */
+async function authorizeApi(ctx, next) {
+  try {
+    const userId = ctx.state.userId;
+
+    if (!userId) {
+      return Response.error(ctx, '用户未认证', -1, 401);
+    }
+
+    const routePath = getRouteTemplate(ctx);
+    const requiredCodes = routePath
+      ? await authorizationService.getRoutePermissionCodes(routePath, ctx.method)
+      : [];
+
+    if (requiredCodes.length > 0) {
+      const userPermissionCodes = await authorizationService.getPermissionCodes(userId);
+      const apiKey = ctx.state.apiKey;
+      const granted = requiredCodes.some(
+        (code) =>
+          hasPermission(userPermissionCodes, code) &&
+          (!apiKey || hasPermission(apiKey.permissions, code))
+      );
+
+      if (!granted) {
+        return Response.error(ctx, '权限不足', -1, 403);
+      }
+
+      // 覆盖模式下标记已通过数据库中的接口权限校验，路由上的权限校验据此跳过
+      if (API_AUTH_OVERRIDE) {
+        ctx.state.routeAuthorized = true;
+      }
+    } else if (API_AUTH_STRICT) {
+      logger.warn(`接口未配置访问权限: ${ctx.method} ${routePath || ctx.path}`);
+      return Response.error(ctx, '接口未配置访问权限', -1, 403);
+    }
+    // 未配置且非严格模式时，只校验路由上声明的权限
+  } catch (error) {
+    logger.error('接口授权失败:', error);
+    return Response.error(ctx, '权限验证失败', -1, 500);
+  }
+
+  await next();
+}
+
+module.exports = {
+  authorizeApi,
+  getRouteTemplate
+};
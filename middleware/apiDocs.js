@@ -111,7 +111,7 @@ class ApiDocsMiddleware {
         parameters: parameters.length > 0 ? parameters : undefined,
         requestBody: routeInfo.requestBody,
         responses,
-        security: routeInfo.security ? [{ bearerAuth: [] }] : undefined
+        security: routeInfo.security ? [{ bearerAuth: [] }, { apiKeyAuth: [] }] : undefined
       };
     }
 
@@ -136,6 +136,12 @@ class ApiDocsMiddleware {
             type: 'http',
             scheme: 'bearer',
             bearerFormat: 'JWT'
+          },
+          apiKeyAuth: {
+            type: 'apiKey',
+            in: 'header',
+            name: 'X-API-Key',
+            description: '系统集成使用的API密钥，仅可访问密钥授权范围内的业务接口'
           }
         },
         schemas: {
@@ -247,7 +253,7 @@ class ApiDocsMiddleware {
       // 认证相关
       'POST /api/auth/register': {
         summary: '用户注册',
-        description: '用户注册接口，需要邮箱验证',
+        description: '用户注册接口，需要邮箱验证；密码需符合密码策略；需先获取图形验证码',
         tags: ['认证'],
         requestBody: {
           required: true,
@@ -259,9 +265,11 @@ class ApiDocsMiddleware {
                 properties: {
                   username: { type: 'string', example: 'newuser', description: '用户名' },
                   email: { type: 'string', format: 'email', example: 'user@example.com', description: '邮箱' },
-                  password: { type: 'string', minLength: 6, example: 'password123', description: '密码' },
+                  password: { type: 'string', example: 'Mall@2025pass', description: '密码（需符合密码策略）' },
                   real_name: { type: 'string', example: '张三', description: '真实姓名' },
-                  phone: { type: 'string', example: '13800138000', description: '手机号' }
+                  phone: { type: 'string', example: '13800138000', description: '手机号' },
+                  captcha_id: { type: 'string', description: '图形验证码ID' },
+                  captcha_code: { type: 'string', example: 'Ab3x', description: '图形验证码' }
                 }
               }
             }
@@ -274,9 +282,35 @@ class ApiDocsMiddleware {
           }
         }
       },
+      'GET /api/auth/captcha': {
+        summary: '获取图形验证码',
+        description: '返回验证码ID和PNG图片（data URL），5分钟内有效且只能使用一次；注册、重新发送验证邮件时必须提交',
+        tags: ['认证']
+      },
+      'POST /api/auth/resend-verification': {
+        summary: '重新发送验证邮件',
+        description: '重新发送注册验证码，需提交图形验证码',
+        tags: ['认证'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email', 'captcha_id', 'captcha_code'],
+                properties: {
+                  email: { type: 'string', format: 'email', example: 'user@example.com' },
+                  captcha_id: { type: 'string', description: '图形验证码ID' },
+                  captcha_code: { type: 'string', description: '图形验证码' }
+                }
+              }
+            }
+          }
+        }
+      },
       'POST /api/auth/verify-email': {
         summary: '验证邮箱',
-        description: '验证邮箱地址',
+        description: '验证邮箱地址并创建账户；开启注册审核时返回 pending_approval，账户需管理员审核通过后才能登录',
         tags: ['认证'],
         requestBody: {
           required: true,
@@ -296,7 +330,7 @@ class ApiDocsMiddleware {
       },
       'POST /api/auth/login': {
         summary: '用户登录',
-        description: '用户登录接口',
+        description: '用户登录接口；同一邮箱或IP连续登录失败达到阈值后需提交图形验证码（返回 code=-2 时展示验证码）',
         tags: ['认证'],
         requestBody: {
           required: true,
@@ -307,7 +341,9 @@ class ApiDocsMiddleware {
                 required: ['email', 'password'],
                 properties: {
                   email: { type: 'string', format: 'email', example: 'admin@example.com' },
-                  password: { type: 'string', example: 'password' }
+                  password: { type: 'string', example: 'password' },
+                  captcha_id: { type: 'string', description: '图形验证码ID（需要时提交）' },
+                  captcha_code: { type: 'string', description: '图形验证码（需要时提交）' }
                 }
               }
             }
@@ -322,6 +358,8 @@ class ApiDocsMiddleware {
               data: {
                 user: { id: 1, username: 'admin', email: 'admin@example.com' },
                 token: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...',
+                refresh_token: '3f2b9c...',
+                expires_in: 1800,
                 roles: [],
                 permissions: []
               }
@@ -329,15 +367,329 @@ class ApiDocsMiddleware {
           }
         }
       },
+      'POST /api/auth/login/mfa': {
+        summary: '两步验证登录',
+        description: '登录返回 mfa_required 时，提交临时令牌和认证器验证码（或恢复码）完成登录',
+        tags: ['认证'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['mfa_token'],
+                properties: {
+                  mfa_token: { type: 'string', description: '登录接口返回的临时令牌' },
+                  code: { type: 'string', example: '123456', description: '认证器App生成的6位验证码' },
+                  recovery_code: { type: 'string', example: 'a1b2c-3d4e5', description: '恢复码，与code二选一' }
+                }
+              }
+            }
+          }
+        }
+      },
+      'POST /api/auth/login/mfa/setup': {
+        summary: '登录时绑定两步验证',
+        description: '登录返回 mfa_setup_required 时，使用临时令牌获取绑定二维码',
+        tags: ['认证']
+      },
+      'POST /api/auth/login/mfa/enable': {
+        summary: '登录时启用两步验证',
+        description: '提交认证器验证码确认绑定并完成登录，返回结果包含恢复码',
+        tags: ['认证']
+      },
+      'POST /api/auth/magic-link': {
+        summary: '发送快捷登录链接',
+        description: '向已开启快捷登录的账户邮箱发送一次性登录链接（15分钟有效）；无论邮箱是否存在都返回相同结果',
+        tags: ['认证'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email'],
+                properties: {
+                  email: { type: 'string', format: 'email', example: 'user@example.com' }
+                }
+              }
+            }
+          }
+        }
+      },
+      'POST /api/auth/magic-link/consume': {
+        summary: '快捷登录',
+        description: '使用登录链接中的令牌登录，返回结果与密码登录相同（可能要求两步验证）',
+        tags: ['认证'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['token'],
+                properties: {
+                  token: { type: 'string', description: '登录链接中的令牌' }
+                }
+              }
+            }
+          }
+        }
+      },
+      'GET /api/auth/invitation': {
+        summary: '获取邀请信息',
+        description: '根据邀请链接中的令牌获取受邀邮箱和过期时间，用于接受邀请页面',
+        tags: ['认证'],
+        parameters: [
+          { name: 'token', in: 'query', required: true, schema: { type: 'string' }, description: '邀请链接中的令牌' }
+        ]
+      },
+      'POST /api/auth/invitation/accept': {
+        summary: '接受邀请',
+        description: '受邀用户自行设置用户名、密码和个人资料并创建账户，账户邮箱为受邀邮箱，角色为邀请时指定的角色；邀请链接仅能使用一次',
+        tags: ['认证'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['token', 'username', 'password'],
+                properties: {
+                  token: { type: 'string', description: '邀请链接中的令牌' },
+                  username: { type: 'string', example: 'zhangsan' },
+                  password: { type: 'string', example: 'Mall@2025', description: '登录密码（需符合密码策略）' },
+                  real_name: { type: 'string', example: '张三' },
+                  phone: { type: 'string', example: '13800138000' }
+                }
+              }
+            }
+          }
+        }
+      },
+      'PUT /api/auth/magic-link/preference': {
+        summary: '设置快捷登录',
+        description: '开启或关闭当前账户的邮件快捷登录',
+        tags: ['认证'],
+        security: true
+      },
+      'POST /api/auth/login/change-password': {
+        summary: '修改过期密码',
+        description: '登录返回 password_expired 时，使用 password_token 提交新密码并完成登录',
+        tags: ['认证'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['password_token', 'new_password'],
+                properties: {
+                  password_token: { type: 'string', description: '登录时返回的临时令牌' },
+                  new_password: { type: 'string', example: 'NewMall@2025', description: '新密码（需符合密码策略）' }
+                }
+              }
+            }
+          }
+        }
+      },
+      'GET /api/auth/password-policy': {
+        summary: '获取密码策略',
+        description: '获取密码长度、字符类型、历史密码和有效期要求，供前端展示',
+        tags: ['认证']
+      },
+      'POST /api/auth/change-email': {
+        summary: '申请更换邮箱',
+        description: '验证当前密码后向新邮箱发送验证码，验证码10分钟内有效',
+        tags: ['认证'],
+        security: true,
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['new_email', 'password'],
+                properties: {
+                  new_email: { type: 'string', format: 'email', example: 'new@example.com' },
+                  password: { type: 'string', description: '当前密码' }
+                }
+              }
+            }
+          }
+        }
+      },
+      'POST /api/auth/change-email/verify': {
+        summary: '确认更换邮箱',
+        description: '提交新邮箱收到的验证码完成更换，并通知原邮箱',
+        tags: ['认证'],
+        security: true
+      },
+      'POST /api/auth/mfa/setup': {
+        summary: '绑定两步验证',
+        description: '生成TOTP密钥和二维码，需在10分钟内调用启用接口确认',
+        tags: ['认证'],
+        security: true
+      },
+      'POST /api/auth/mfa/enable': {
+        summary: '启用两步验证',
+        description: '提交认证器验证码确认绑定，返回一次性恢复码',
+        tags: ['认证'],
+        security: true
+      },
+      'POST /api/auth/mfa/disable': {
+        summary: '关闭两步验证',
+        description: '需提供当前密码和验证码；角色强制要求两步验证时不可关闭',
+        tags: ['认证'],
+        security: true
+      },
+      'POST /api/auth/forgot-password': {
+        summary: '忘记密码',
+        description: '向邮箱发送密码重置验证码，无论邮箱是否注册均返回相同结果',
+        tags: ['认证'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email'],
+                properties: {
+                  email: { type: 'string', format: 'email', example: 'user@example.com' }
+                }
+              }
+            }
+          }
+        }
+      },
+      'POST /api/auth/reset-password': {
+        summary: '重置密码',
+        description: '使用邮件中的验证码重置密码，验证码仅可使用一次，重置后已登录的设备全部下线',
+        tags: ['认证'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email', 'code', 'new_password'],
+                properties: {
+                  email: { type: 'string', format: 'email', example: 'user@example.com' },
+                  code: { type: 'string', example: '123456', description: '6位验证码' },
+                  new_password: { type: 'string', example: 'NewMall@2025', description: '新密码（需符合密码策略，且不能与最近使用的密码相同）' }
+                }
+              }
+            }
+          }
+        }
+      },
+      'POST /api/auth/refresh': {
+        summary: '刷新访问令牌',
+        description: '使用刷新令牌换取新的访问令牌，旧的刷新令牌随即失效；已使用过的刷新令牌再次提交会吊销整个登录会话',
+        tags: ['认证'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['refresh_token'],
+                properties: {
+                  refresh_token: { type: 'string', description: '登录时获得的刷新令牌' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: '刷新成功',
+            example: {
+              code: 0,
+              message: '刷新令牌成功',
+              data: { token: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...', refresh_token: '9a1c4e...', expires_in: 1800 }
+            }
+          }
+        }
+      },
       'GET /api/auth/me': {
         summary: '获取当前用户信息',
         description: '获取当前登录用户的详细信息',
         tags: ['认证'],
         security: true
       },
+      'GET /api/auth/menus': {
+        summary: '获取当前用户菜单',
+        description: '返回当前用户有权访问的菜单树（含图标、路径、排序）和已授权的按钮权限代码列表，未授权但包含已授权子菜单的菜单作为分组保留',
+        tags: ['认证'],
+        security: true
+      },
+      'GET /api/auth/sessions': {
+        summary: '获取登录会话',
+        description: '获取当前用户在各设备上的登录会话（设备、IP、登录时间、最后活跃时间），current 标识当前会话',
+        tags: ['认证'],
+        security: true
+      },
+      'DELETE /api/auth/sessions/:id': {
+        summary: '注销会话',
+        description: '注销当前用户的指定登录会话，该设备需重新登录',
+        tags: ['认证'],
+        security: true
+      },
+      'GET /api/auth/login-history': {
+        summary: '获取登录记录',
+        description: '分页获取当前用户的登录记录（成功与失败、IP、客户端、失败原因）',
+        tags: ['认证'],
+        security: true,
+        parameters: [
+          { name: 'page', in: 'query', schema: { type: 'integer', default: 1 }, description: '页码' },
+          { name: 'pageSize', in: 'query', schema: { type: 'integer', default: 10 }, description: '每页数量' }
+        ]
+      },
+      'GET /api/auth/api-keys': {
+        summary: '获取API密钥列表',
+        description: '获取当前用户创建的API密钥（不包含密钥明文）',
+        tags: ['认证'],
+        security: true
+      },
+      'POST /api/auth/api-keys': {
+        summary: '创建API密钥',
+        description: '为系统集成创建API密钥，权限只能是当前用户权限的子集；密钥明文仅在创建时返回一次，调用接口时通过 X-API-Key 请求头传递',
+        tags: ['认证'],
+        security: true,
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'permissions'],
+                properties: {
+                  name: { type: 'string', example: 'ERP同步', description: '密钥名称' },
+                  permissions: { type: 'array', items: { type: 'string' }, example: ['user:list'], description: '授权的权限代码' },
+                  allowed_ips: { type: 'array', items: { type: 'string' }, example: ['10.0.0.0/24'], description: '允许访问的IP或CIDR，为空不限制' },
+                  expires_at: { type: 'string', format: 'date-time', description: '过期时间，为空永不过期' }
+                }
+              }
+            }
+          }
+        }
+      },
+      'DELETE /api/auth/api-keys/:id': {
+        summary: '吊销API密钥',
+        description: '吊销指定API密钥，立即失效',
+        tags: ['认证'],
+        security: true
+      },
+      'POST /api/auth/impersonation/stop': {
+        summary: '结束模拟登录',
+        description: '使用模拟登录令牌调用，立即吊销该令牌并记录结束事件',
+        tags: ['认证'],
+        security: true
+      },
       'POST /api/auth/logout': {
         summary: '退出登录',
-        description: '用户退出登录',
+        description: '用户退出登录，当前访问令牌及其刷新令牌立即失效',
         tags: ['认证'],
         security: true
       },
@@ -345,14 +697,17 @@ class ApiDocsMiddleware {
       // 用户管理
       'GET /api/users': {
         summary: '获取用户列表',
-        description: '分页获取用户列表',
+        description: '分页获取用户列表（按调用者的数据范围过滤）',
         tags: ['用户管理'],
         security: true,
         parameters: [
           { name: 'page', in: 'query', schema: { type: 'integer', default: 1 }, description: '页码' },
           { name: 'pageSize', in: 'query', schema: { type: 'integer', default: 10 }, description: '每页数量' },
           { name: 'username', in: 'query', schema: { type: 'string' }, description: '用户名筛选' },
-          { name: 'status', in: 'query', schema: { type: 'integer', enum: [0, 1] }, description: '状态筛选' }
+          { name: 'email', in: 'query', schema: { type: 'string' }, description: '邮箱筛选' },
+          { name: 'department_id', in: 'query', schema: { type: 'integer' }, description: '部门筛选' },
+          { name: 'include_children', in: 'query', schema: { type: 'boolean', default: true }, description: '按部门筛选时是否包含下级部门' },
+          { name: 'status', in: 'query', schema: { type: 'integer', enum: [0, 1, 2, 3] }, description: '状态筛选（1-启用, 0-禁用, 2-待审核, 3-审核拒绝）' }
         ]
       },
       'GET /api/users/:id': {
@@ -376,7 +731,7 @@ class ApiDocsMiddleware {
                 properties: {
                   username: { type: 'string', example: 'newuser' },
                   email: { type: 'string', format: 'email', example: 'user@example.com' },
-                  password: { type: 'string', minLength: 6, example: 'password123' },
+                  password: { type: 'string', example: 'Mall@2025pass', description: '密码（需符合密码策略）' },
                   real_name: { type: 'string', example: '张三' },
                   phone: { type: 'string', example: '13800138000' }
                 }
@@ -397,6 +752,161 @@ class ApiDocsMiddleware {
         tags: ['用户管理'],
         security: true
       },
+      'POST /api/users/:id/unlock': {
+        summary: '解除登录锁定',
+        description: '解除因连续登录失败导致的账户临时锁定',
+        tags: ['用户管理'],
+        security: true
+      },
+      'GET /api/users/:id/sessions': {
+        summary: '获取用户会话',
+        description: '获取指定用户的全部登录会话',
+        tags: ['用户管理'],
+        security: true
+      },
+      'GET /api/users/:id/login-history': {
+        summary: '获取用户登录记录',
+        description: '分页获取指定用户的登录记录',
+        tags: ['用户管理'],
+        security: true,
+        parameters: [
+          { name: 'page', in: 'query', schema: { type: 'integer', default: 1 }, description: '页码' },
+          { name: 'pageSize', in: 'query', schema: { type: 'integer', default: 10 }, description: '每页数量' }
+        ]
+      },
+      'DELETE /api/users/:id/sessions/:sessionId': {
+        summary: '强制注销会话',
+        description: '强制注销指定用户的某个登录会话',
+        tags: ['用户管理'],
+        security: true
+      },
+      'GET /api/users/invitations': {
+        summary: '获取邀请列表',
+        description: '分页获取用户邀请，status 可按 pending（待接受）、expired（已过期）、accepted（已接受）、revoked（已撤销）筛选',
+        tags: ['用户管理'],
+        security: true,
+        parameters: [
+          { name: 'page', in: 'query', schema: { type: 'integer', default: 1 }, description: '页码' },
+          { name: 'pageSize', in: 'query', schema: { type: 'integer', default: 10 }, description: '每页数量' },
+          { name: 'email', in: 'query', schema: { type: 'string' }, description: '邮箱筛选' },
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'expired', 'accepted', 'revoked'] }, description: '状态筛选' }
+        ]
+      },
+      'POST /api/users/invitations': {
+        summary: '邀请用户',
+        description: '向指定邮箱发送邀请链接，受邀人接受时自行设置密码，并自动分配指定角色',
+        tags: ['用户管理'],
+        security: true,
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email'],
+                properties: {
+                  email: { type: 'string', format: 'email', example: 'new-admin@example.com' },
+                  role_ids: { type: 'array', items: { type: 'integer' }, example: [2] }
+                }
+              }
+            }
+          }
+        }
+      },
+      'POST /api/users/invitations/:id/resend': {
+        summary: '重新发送邀请',
+        description: '为待接受或已过期的邀请生成新链接并重新发送，旧链接立即失效',
+        tags: ['用户管理'],
+        security: true
+      },
+      'DELETE /api/users/invitations/:id': {
+        summary: '撤销邀请',
+        description: '撤销待接受的邀请，邀请链接立即失效',
+        tags: ['用户管理'],
+        security: true
+      },
+      'POST /api/users/:id/impersonate': {
+        summary: '模拟登录',
+        description: '超级管理员以指定用户身份登录，返回短期令牌（载荷包含 impersonator_id，不可刷新）；模拟状态下禁止修改密码、两步验证等敏感操作，开始和结束均记录审计日志',
+        tags: ['用户管理'],
+        security: true,
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  reason: { type: 'string', example: '排查菜单缺失问题', description: '模拟原因' }
+                }
+              }
+            }
+          }
+        }
+      },
+      'GET /api/users/:id/impersonation-logs': {
+        summary: '获取模拟登录记录',
+        description: '分页获取指定用户被模拟登录的审计记录（仅超级管理员）',
+        tags: ['用户管理'],
+        security: true,
+        parameters: [
+          { name: 'page', in: 'query', schema: { type: 'integer', default: 1 }, description: '页码' },
+          { name: 'pageSize', in: 'query', schema: { type: 'integer', default: 10 }, description: '每页数量' }
+        ]
+      },
+      'GET /api/users/registrations': {
+        summary: '获取待审核注册申请',
+        description: '分页获取邮箱已验证、等待审核的注册账户（开启 REGISTRATION_APPROVAL 时）',
+        tags: ['用户管理'],
+        security: true,
+        parameters: [
+          { name: 'page', in: 'query', schema: { type: 'integer', default: 1 }, description: '页码' },
+          { name: 'pageSize', in: 'query', schema: { type: 'integer', default: 10 }, description: '每页数量' }
+        ]
+      },
+      'POST /api/users/:id/approve': {
+        summary: '审核通过注册申请',
+        description: '启用待审核的注册账户并分配角色，同时邮件通知申请人',
+        tags: ['用户管理'],
+        security: true,
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  role_ids: { type: 'array', items: { type: 'integer' }, example: [3] }
+                }
+              }
+            }
+          }
+        }
+      },
+      'POST /api/users/:id/reject': {
+        summary: '拒绝注册申请',
+        description: '拒绝待审核的注册账户，并将拒绝原因邮件通知申请人',
+        tags: ['用户管理'],
+        security: true,
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['reason'],
+                properties: {
+                  reason: { type: 'string', example: '非本公司员工' }
+                }
+              }
+            }
+          }
+        }
+      },
+      'POST /api/users/:id/revoke-tokens': {
+        summary: '吊销用户令牌',
+        description: '吊销指定用户的全部访问令牌和刷新令牌，强制其重新登录',
+        tags: ['用户管理'],
+        security: true
+      },
 
       // 角色管理
       'GET /api/roles': {
@@ -420,7 +930,35 @@ class ApiDocsMiddleware {
                 properties: {
                   name: { type: 'string', example: '管理员' },
                   code: { type: 'string', example: 'admin' },
-                  description: { type: 'string', example: '系统管理员角色' }
+                  description: { type: 'string', example: '系统管理员角色' },
+                  parent_id: { type: 'integer', example: 3, description: '父角色ID，子角色继承上级角色的全部权限，0表示顶级角色' }
+                }
+              }
+            }
+          }
+        }
+      },
+      'GET /api/roles/tree': {
+        summary: '获取角色树',
+        description: '获取树形结构的角色列表，子角色继承所有上级角色的权限',
+        tags: ['角色管理'],
+        security: true
+      },
+      'PUT /api/roles/:id/data-scope': {
+        summary: '设置数据范围',
+        description: '设置角色可查看的数据范围：all-全部, dept-本部门, dept_and_below-本部门及以下, self-仅本人, custom-自定义部门；用户拥有多个角色时取并集',
+        tags: ['角色管理'],
+        security: true,
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['data_scope'],
+                properties: {
+                  data_scope: { type: 'string', enum: ['all', 'dept', 'dept_and_below', 'self', 'custom'], example: 'dept_and_below' },
+                  department_ids: { type: 'array', items: { type: 'integer' }, description: '自定义数据范围的部门ID（data_scope 为 custom 时必填）' }
                 }
               }
             }
@@ -441,6 +979,110 @@ class ApiDocsMiddleware {
         tags: ['权限管理'],
         security: true
       },
+      'POST /api/permissions': {
+        summary: '创建权限',
+        description: '创建新权限。权限代码为 资源:操作 格式，可使用通配符（user:* 覆盖 user 下全部权限，* 覆盖全部权限）；cover_children=1 时授予该权限即同时授予其全部下级权限',
+        tags: ['权限管理'],
+        security: true,
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'code', 'type'],
+                properties: {
+                  name: { type: 'string', example: '用户全部权限' },
+                  code: { type: 'string', example: 'user:*' },
+                  type: { type: 'string', enum: ['menu', 'button', 'api'], example: 'api' },
+                  parent_id: { type: 'integer', example: 1 },
+                  cover_children: { type: 'integer', enum: [0, 1], example: 0 }
+                }
+              }
+            }
+          }
+        }
+      },
+
+      // 部门管理
+      'GET /api/departments': {
+        summary: '获取部门树',
+        description: '获取树形结构的部门列表，每个部门包含负责人 leaders',
+        tags: ['部门管理'],
+        security: true
+      },
+      'GET /api/departments/:id': {
+        summary: '获取部门详情',
+        description: '获取部门信息、负责人和直属成员数量',
+        tags: ['部门管理'],
+        security: true
+      },
+      'GET /api/departments/:id/users': {
+        summary: '获取部门成员',
+        description: '分页获取部门成员，默认包含下级部门的成员（按调用者的数据范围过滤）',
+        tags: ['部门管理'],
+        security: true,
+        parameters: [
+          { name: 'page', in: 'query', schema: { type: 'integer', default: 1 }, description: '页码' },
+          { name: 'pageSize', in: 'query', schema: { type: 'integer', default: 10 }, description: '每页数量' },
+          { name: 'include_children', in: 'query', schema: { type: 'boolean', default: true }, description: '是否包含下级部门' }
+        ]
+      },
+      'POST /api/departments': {
+        summary: '创建部门',
+        description: '创建新部门，同级部门名称不能重复',
+        tags: ['部门管理'],
+        security: true,
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: { type: 'string', example: '华东大区' },
+                  parent_id: { type: 'integer', example: 0, description: '父部门ID，0表示顶级部门' },
+                  sort_order: { type: 'integer', example: 0 }
+                }
+              }
+            }
+          }
+        }
+      },
+      'PUT /api/departments/:id': {
+        summary: '更新部门',
+        description: '更新部门名称、排序或状态；调整上级部门请使用移动接口',
+        tags: ['部门管理'],
+        security: true
+      },
+      'PUT /api/departments/:id/move': {
+        summary: '移动部门',
+        description: '将部门连同其全部下级部门移动到新的父部门下，不能移动到自身的下级部门中',
+        tags: ['部门管理'],
+        security: true,
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['parent_id'],
+                properties: {
+                  parent_id: { type: 'integer', example: 1, description: '新的父部门ID，0表示顶级部门' },
+                  sort_order: { type: 'integer', example: 0 }
+                }
+              }
+            }
+          }
+        }
+      },
+      'DELETE /api/departments/:id': {
+        summary: '删除部门',
+        description: '删除部门，存在子部门或成员时不能删除',
+        tags: ['部门管理'],
+        security: true
+      },
 
       // 系统接口
       'GET /api/health': {
@@ -453,6 +1095,11 @@ class ApiDocsMiddleware {
             example: { code: 0, message: '服务正常', data: {} }
           }
         }
+      },
+      'GET /.well-known/jwks.json': {
+        summary: 'JWT验证公钥',
+        description: '以JWKS格式返回当前有效的令牌验证公钥，供其他服务根据令牌头中的kid离线验证令牌',
+        tags: ['系统']
       }
     };
 
@@ -1,13 +1,43 @@
 const { verifyToken } = require('../config/jwt');
 const logger = require('../utils/logger');
 const userRepository = require('../repositories/UserRepository');
+const tokenService = require('../services/TokenService');
+const sessionService = require('../services/SessionService');
+const apiKeyService = require('../services/ApiKeyService');
 const Response = require('../utils/response');
 
 /**
- * JWT认证中间件
+ * API密钥认证
+ * @param {Object} ctx - Koa上下文
+ * @param {Function} next - 下一个中间件
+ * @param {String} key - 请求头中的API密钥
+ */
+async function authenticateApiKey(ctx, next, key) {
+  let result;
+  try {
+    result = await apiKeyService.authenticate(key, ctx.ip);
+  } catch (error) {
+    logger.warn(`API密钥认证失败 - IP: ${ctx.ip}, 原因: ${error.message}`);
+    return Response.error(ctx, error.message, -1, 401);
+  }
+
+  ctx.state.user = result.user;
+  ctx.state.userId = result.user.id;
+  ctx.state.apiKey = result.apiKey;
+
+  await next();
+}
+
+/**
+ * JWT认证中间件，同时支持通过 X-API-Key 请求头使用API密钥认证
  */
 async function authenticate(ctx, next) {
   try {
+    const apiKey = ctx.get('X-API-Key');
+    if (apiKey) {
+      return await authenticateApiKey(ctx, next, apiKey);
+    }
+
     // 获取token
     let token = ctx.header.authorization || ctx.cookies.get('token');
 
@@ -31,20 +61,47 @@ async function authenticate(ctx, next) {
 
     // 验证token
     const decoded = verifyToken(token);
-    if (!decoded) {
+    if (!decoded || decoded.type !== 'access') {
       logger.warn(ctx, 'JWT令牌验证失败');
       Response.error(ctx, '认证令牌无效或已过期', -1, 401);
       return;
     }
 
+    // 检查令牌是否已被吊销
+    if (await tokenService.isTokenRevoked(decoded)) {
+      logger.warn(`已吊销的令牌被使用 - 用户ID: ${decoded.id}`);
+      Response.error(ctx, '认证令牌已失效，请重新登录', -1, 401);
+      return;
+    }
+
+    // 检查登录会话是否仍然有效（可能已被用户或管理员注销）
+    if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid))) {
+      Response.error(ctx, '登录会话已失效，请重新登录', -1, 401);
+      return;
+    }
+
     const user = await userRepository.findById(decoded.id);
 
-    if (!user || user.status === 0) {
+    if (!user || user.status !== 1) {
       return Response.error(ctx, '用户不存在或已被禁用', -1, 401);
     }
 
+    // 模拟登录令牌：操作的管理员被禁用后立即失效
+    if (decoded.impersonator_id) {
+      const impersonator = await userRepository.findById(decoded.impersonator_id);
+      if (!impersonator || impersonator.status !== 1) {
+        return Response.error(ctx, '模拟登录已失效', -1, 401);
+      }
+      ctx.state.impersonatorId = impersonator.id;
+    }
+
     ctx.state.user = user;
     ctx.state.userId = user.id;
+    ctx.state.tokenPayload = decoded;
+
+    if (decoded.sid) {
+      await sessionService.touchSession(decoded.sid, ctx.ip);
+    }
 
     await next();
   } catch (error) {
@@ -53,4 +110,29 @@ async function authenticate(ctx, next) {
   }
 }
 
-module.exports = { authenticate };
+/**
+ * 拒绝API密钥访问的中间件（账户安全相关接口只允许用户本人登录后操作）
+ */
+async function rejectApiKey(ctx, next) {
+  if (ctx.state.apiKey) {
+    return Response.error(ctx, 'API密钥无权访问此接口', -1, 403);
+  }
+
+  await next();
+}
+
+/**
+ * 禁止在模拟登录状态下执行的敏感操作（如修改密码、两步验证设置）
+ */
+async function blockImpersonation(ctx, next) {
+  if (ctx.state.impersonatorId) {
+    logger.warn(
+      `模拟登录状态下尝试敏感操作 - 管理员ID: ${ctx.state.impersonatorId}, 用户ID: ${ctx.state.userId}, ${ctx.method} ${ctx.path}`
+    );
+    return Response.error(ctx, '模拟登录状态下不允许此操作', -1, 403);
+  }
+
+  await next();
+}
+
+module.exports = { authenticate, rejectApiKey, blockImpersonation };
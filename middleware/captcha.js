@@ -0,0 +1,70 @@
+const captchaService = require('../services/CaptchaService');
+const Response = require('../utils/response');
+const logger = require('../utils/logger');
+
+// 需要图形验证码时返回的业务状态码，前端据此展示验证码
+const CAPTCHA_REQUIRED_CODE = -2;
+
+/**
+ * 校验请求体中的图形验证码 captcha_id / captcha_code
+ * @param {Object} ctx - Koa上下文
+ * @returns {Boolean} 是否通过（未通过时已写入响应）
+ */
+async function checkCaptcha(ctx) {
+  const { captcha_id, captcha_code } = ctx.request.body || {};
+
+  if (!captcha_id || !captcha_code) {
+    Response.error(ctx, '请输入图形验证码', CAPTCHA_REQUIRED_CODE, 400);
+    return false;
+  }
+
+  if (!(await captchaService.verify(captcha_id, captcha_code))) {
+    logger.warn(`图形验证码错误 - IP: ${ctx.ip}, 路径: ${ctx.path}`);
+    Response.error(ctx, '图形验证码错误或已过期', CAPTCHA_REQUIRED_CODE, 400);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * 图形验证码中间件（必须通过）
+ */
+async function requireCaptcha(ctx, next) {
+  try {
+    if (!(await checkCaptcha(ctx))) {
+      return;
+    }
+  } catch (error) {
+    logger.error('图形验证码校验失败:', error);
+    return Response.error(ctx, '图形验证码校验失败', -1, 500);
+  }
+
+  await next();
+}
+
+/**
+ * 登录图形验证码中间件
+ * 同一邮箱或IP连续登录失败达到阈值后才要求验证码
+ */
+async function requireCaptchaAfterLoginFailures(ctx, next) {
+  try {
+    const { email } = ctx.request.body || {};
+    const required = await captchaService.isRequiredForLogin(email, ctx.ip);
+
+    if (required && !(await checkCaptcha(ctx))) {
+      return;
+    }
+  } catch (error) {
+    logger.error('图形验证码校验失败:', error);
+    return Response.error(ctx, '图形验证码校验失败', -1, 500);
+  }
+
+  await next();
+}
+
+module.exports = {
+  CAPTCHA_REQUIRED_CODE,
+  requireCaptcha,
+  requireCaptchaAfterLoginFailures
+};
@@ -0,0 +1,28 @@
+const dataScopeService = require('../services/DataScopeService');
+const userRepository = require('../repositories/UserRepository');
+const Response = require('../utils/response');
+const logger = require('../utils/logger');
+
+/**
+ * 目标用户数据范围验证中间件（路由参数 :id 为用户ID）
+ * 超出当前用户数据范围的用户按不存在处理，与用户列表的过滤结果保持一致
+ */
+async function requireUserInScope(ctx, next) {
+  try {
+    const user = await userRepository.findById(parseInt(ctx.params.id));
+    const dataScope = await dataScopeService.getUserDataScope(ctx.state.userId);
+
+    if (!user || !dataScopeService.isUserInScope(dataScope, user)) {
+      return Response.error(ctx, '用户不存在', -1, 404);
+    }
+  } catch (error) {
+    logger.error('数据范围验证失败:', error);
+    return Response.error(ctx, '数据范围验证失败', -1, 500);
+  }
+
+  await next();
+}
+
+module.exports = {
+  requireUserInScope
+};
@@ -1,14 +1,56 @@
-const userRepository = require('../repositories/UserRepository');
+const authorizationService = require('../services/AuthorizationService');
+const {
+  hasPermission,
+  parseExpression,
+  evaluateExpression
+} = require('../utils/permissionMatcher');
 const Response = require('../utils/response');
 const logger = require('../utils/logger');
 
+/**
+ * 将权限参数解析为表达式语法树（数组表示满足任一即可）
+ * @param {String|Array} requiredPermissions - 权限代码、权限表达式或其数组
+ * @returns {Array} 语法树数组
+ */
+function parsePermissions(requiredPermissions) {
+  const expressions = Array.isArray(requiredPermissions)
+    ? requiredPermissions
+    : [requiredPermissions];
+
+  // 在定义路由时解析，表达式有误时启动即报错
+  return expressions.map((expression) => parseExpression(expression));
+}
+
+/**
+ * 判断当前请求是否满足权限表达式
+ * @param {Object} ctx - Koa上下文
+ * @param {Array} expressions - 语法树数组（满足任一即可）
+ * @returns {Boolean} 是否满足
+ */
+async function checkPermissions(ctx, expressions) {
+  // 获取用户权限代码（带缓存）
+  const userPermissionCodes = await authorizationService.getPermissionCodes(ctx.state.userId);
+
+  // 支持通配符；使用API密钥访问时还需在密钥授权范围内
+  const apiKey = ctx.state.apiKey;
+  const check = (code) =>
+    hasPermission(userPermissionCodes, code) &&
+    (!apiKey || hasPermission(apiKey.permissions, code));
+
+  return expressions.some((expression) => evaluateExpression(expression, check));
+}
+
 /**
  * 权限验证中间件
- * @param {String|Array} requiredPermissions - 必需的权限代码
+ * 支持权限表达式，如 `user:update AND role:list`、`user:* AND NOT user:delete`；
+ * 传入数组时满足任一即可；接口动态授权在覆盖模式下已按数据库配置放行时跳过校验
+ * @param {String|Array} requiredPermissions - 必需的权限代码或权限表达式
  * @returns {Function} Koa中间件函数
  */
 function requirePermission(requiredPermissions) {
-  return async (ctx, next) => {
+  const expressions = parsePermissions(requiredPermissions);
+
+  const middleware = async (ctx, next) => {
     try {
       const userId = ctx.state.userId;
 
@@ -16,23 +58,7 @@ function requirePermission(requiredPermissions) {
         return Response.error(ctx, '用户未认证', -1, 401);
       }
 
-      // 标准化权限参数
-      const permissions = Array.isArray(requiredPermissions)
-        ? requiredPermissions
-        : [requiredPermissions];
-
-      // 获取用户权限
-      const userPermissions = await userRepository.getUserPermissions(userId);
-
-      // 提取权限代码数组
-      const userPermissionCodes = userPermissions.map((p) => p.code);
-
-      // 检查是否拥有所需权限
-      const hasPermission = permissions.some((permission) =>
-        userPermissionCodes.includes(permission)
-      );
-
-      if (!hasPermission) {
+      if (!ctx.state.routeAuthorized && !(await checkPermissions(ctx, expressions))) {
         return Response.error(ctx, '权限不足', -1, 403);
       }
 
@@ -42,6 +68,11 @@ function requirePermission(requiredPermissions) {
       return Response.error(ctx, '权限验证失败', -1, 500);
     }
   };
+
+  // 记录路由声明的权限，供路由与接口权限同步时读取
+  middleware.permissions = [].concat(requiredPermissions);
+
+  return middleware;
 }
 
 /**
@@ -55,9 +86,14 @@ async function requireSuperAdmin(ctx, next) {
       return Response.error(ctx, '用户未认证', -1, 401);
     }
 
-    const userRoles = await userRepository.getUserRoles(userId);
+    // 超级管理员接口不允许通过API密钥调用
+    if (ctx.state.apiKey) {
+      return Response.error(ctx, 'API密钥无权访问此接口', -1, 403);
+    }
+
+    const userRoleCodes = await authorizationService.getRoleCodes(userId);
 
-    const isSuperAdmin = userRoles.some((role) => role.code === 'super_admin');
+    const isSuperAdmin = userRoleCodes.includes('super_admin');
 
     if (!isSuperAdmin) {
       return Response.error(ctx, '需要超级管理员权限', -1, 403);
@@ -88,9 +124,7 @@ function requireRole(requiredRoles) {
         ? requiredRoles
         : [requiredRoles];
 
-      const userRoles = await userRepository.getUserRoles(userId);
-
-      const userRoleCodes = userRoles.map((r) => r.code);
+      const userRoleCodes = await authorizationService.getRoleCodes(userId);
 
       const hasRole = roles.some((role) => userRoleCodes.includes(role));
 
@@ -106,8 +140,57 @@ function requireRole(requiredRoles) {
   };
 }
 
+/**
+ * 角色与权限组合验证中间件，角色和权限条件需同时满足
+ * 接口动态授权在覆盖模式下已按数据库配置放行时只校验角色
+ * @param {Object} options - 验证条件
+ * @param {String|Array} options.roles - 必需的角色代码（满足任一即可）
+ * @param {String|Array} options.permissions - 必需的权限代码或权限表达式
+ * @returns {Function} Koa中间件函数
+ */
+function requireAccess({ roles, permissions }) {
+  const requiredRoles = roles ? [].concat(roles) : [];
+  const expressions = permissions ? parsePermissions(permissions) : [];
+
+  const middleware = async (ctx, next) => {
+    try {
+      const userId = ctx.state.userId;
+
+      if (!userId) {
+        return Response.error(ctx, '用户未认证', -1, 401);
+      }
+
+      if (requiredRoles.length > 0) {
+        const userRoleCodes = await authorizationService.getRoleCodes(userId);
+        if (!requiredRoles.some((role) => userRoleCodes.includes(role))) {
+          return Response.error(ctx, '角色权限不足', -1, 403);
+        }
+      }
+
+      if (
+        expressions.length > 0 &&
+        !ctx.state.routeAuthorized &&
+        !(await checkPermissions(ctx, expressions))
+      ) {
+        return Response.error(ctx, '权限不足', -1, 403);
+      }
+
+      await next();
+    } catch (error) {
+      logger.error('访问权限验证失败:', error);
+      return Response.error(ctx, '权限验证失败', -1, 500);
+    }
+  };
+
+  // 记录路由声明的权限，供路由与接口权限同步时读取
+  middleware.permissions = permissions ? [].concat(permissions) : [];
+
+  return middleware;
+}
+
 module.exports = {
   requirePermission,
   requireSuperAdmin,
-  requireRole
+  requireRole,
+  requireAccess
 };
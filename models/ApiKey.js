@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '所属用户ID'
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: '密钥名称'
+  },
+  prefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    comment: '密钥前缀（用于识别，不可用于认证）'
+  },
+  key_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: '密钥SHA256哈希'
+  },
+  permissions: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: '授权的权限代码(JSON数组)'
+  },
+  allowed_ips: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '允许访问的IP或CIDR(JSON数组)，为空表示不限制'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '过期时间，为空表示永不过期'
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '最后使用时间'
+  },
+  last_used_ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    comment: '最后使用IP'
+  },
+  status: {
+    type: DataTypes.TINYINT,
+    allowNull: false,
+    defaultValue: 1,
+    comment: '状态: 1-启用, 0-已吊销'
+  }
+}, {
+  tableName: 'api_keys',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  comment: 'API密钥表',
+  indexes: [
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+module.exports = ApiKey;
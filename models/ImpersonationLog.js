@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const ImpersonationLog = sequelize.define('ImpersonationLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  impersonator_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '操作的管理员ID'
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '被模拟的用户ID'
+  },
+  action: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    comment: '动作: start-开始, stop-结束'
+  },
+  token_id: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: '模拟令牌ID(jti)'
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '模拟原因'
+  },
+  ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    comment: '操作IP'
+  },
+  user_agent: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: '客户端User-Agent'
+  }
+}, {
+  tableName: 'impersonation_logs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  comment: '模拟登录日志表',
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    },
+    {
+      fields: ['impersonator_id', 'created_at']
+    }
+  ]
+});
+
+module.exports = ImpersonationLog;
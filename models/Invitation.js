@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const Invitation = sequelize.define('Invitation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  email: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: '受邀邮箱'
+  },
+  role_ids: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: '接受邀请后分配的角色ID(JSON数组)'
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: '邀请令牌SHA256哈希'
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: '状态: pending-待接受, accepted-已接受, revoked-已撤销'
+  },
+  invited_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '邀请人ID'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '过期时间'
+  },
+  accepted_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '接受时间'
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '接受邀请后创建的用户ID'
+  }
+}, {
+  tableName: 'invitations',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  comment: '用户邀请表',
+  indexes: [
+    {
+      fields: ['email']
+    },
+    {
+      fields: ['status', 'expires_at']
+    }
+  ]
+});
+
+module.exports = Invitation;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const LoginLog = sequelize.define('LoginLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '用户ID（账号不存在时为空）'
+  },
+  email: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: '登录邮箱'
+  },
+  ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    comment: '登录IP'
+  },
+  user_agent: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: '客户端User-Agent'
+  },
+  status: {
+    type: DataTypes.TINYINT,
+    allowNull: false,
+    comment: '结果: 1-成功, 0-失败'
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '失败原因'
+  }
+}, {
+  tableName: 'login_logs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  comment: '登录日志表',
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    }
+  ]
+});
+
+module.exports = LoginLog;
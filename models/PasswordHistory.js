@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const PasswordHistory = sequelize.define('PasswordHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '用户ID'
+  },
+  password: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: '历史密码哈希'
+  }
+}, {
+  tableName: 'password_histories',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  comment: '密码历史表',
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    }
+  ]
+});
+
+module.exports = PasswordHistory;
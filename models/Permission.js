@@ -51,6 +51,12 @@ const Permission = sequelize.define('Permission', {
     defaultValue: 0,
     comment: '排序'
   },
+  cover_children: {
+    type: DataTypes.TINYINT,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '授予该权限时是否同时授予全部下级权限: 1-是, 0-否'
+  },
   status: {
     type: DataTypes.TINYINT,
     allowNull: false,
@@ -23,6 +23,24 @@ const Role = sequelize.define('Role', {
     allowNull: true,
     comment: '角色描述'
   },
+  parent_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '父角色ID，子角色继承所有上级角色的权限'
+  },
+  data_scope: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'all',
+    comment: '数据范围: all-全部, dept-本部门, dept_and_below-本部门及以下, self-仅本人, custom-自定义部门'
+  },
+  mfa_required: {
+    type: DataTypes.TINYINT,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '是否强制两步验证: 1-是, 0-否'
+  },
   status: {
     type: DataTypes.TINYINT,
     allowNull: false,
@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const RoleDepartment = sequelize.define('RoleDepartment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  role_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '角色ID'
+  },
+  department_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '部门ID'
+  }
+}, {
+  tableName: 'role_departments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  comment: '角色自定义数据范围部门关联表',
+  indexes: [
+    {
+      unique: true,
+      fields: ['role_id', 'department_id']
+    }
+  ]
+});
+
+module.exports = RoleDepartment;
@@ -39,11 +39,22 @@ const User = sequelize.define('User', {
     allowNull: true,
     comment: '头像'
   },
+  department_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '所属部门ID'
+  },
+  is_leader: {
+    type: DataTypes.TINYINT,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '是否为所属部门负责人: 1-是, 0-否'
+  },
   status: {
     type: DataTypes.TINYINT,
     allowNull: false,
     defaultValue: 1,
-    comment: '状态: 1-启用, 0-禁用'
+    comment: '状态: 1-启用, 0-禁用, 2-待审核, 3-审核拒绝'
   },
   last_login_time: {
     type: DataTypes.DATE,
@@ -54,6 +65,48 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING(45),
     allowNull: true,
     comment: '最后登录IP'
+  },
+  mfa_enabled: {
+    type: DataTypes.TINYINT,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '是否启用两步验证: 1-启用, 0-未启用'
+  },
+  mfa_secret: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: '两步验证TOTP密钥'
+  },
+  mfa_recovery_codes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '两步验证恢复码哈希(JSON数组)'
+  },
+  password_changed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '密码最后修改时间'
+  },
+  magic_link_enabled: {
+    type: DataTypes.TINYINT,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '是否开启邮件快捷登录: 1-开启, 0-关闭'
+  },
+  reviewed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '注册审核人ID'
+  },
+  reviewed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '注册审核时间'
+  },
+  review_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '注册审核拒绝原因'
   }
 }, {
   tableName: 'users',
@@ -4,6 +4,13 @@ const Role = require('./Role');
 const Permission = require('./Permission');
 const UserRole = require('./UserRole');
 const RolePermission = require('./RolePermission');
+const LoginLog = require('./LoginLog');
+const PasswordHistory = require('./PasswordHistory');
+const ApiKey = require('./ApiKey');
+const ImpersonationLog = require('./ImpersonationLog');
+const Invitation = require('./Invitation');
+const Department = require('./Department');
+const RoleDepartment = require('./RoleDepartment');
 
 // 定义关联关系
 User.belongsToMany(Role, {
@@ -34,6 +41,81 @@ Permission.belongsToMany(Role, {
   as: 'roles'
 });
 
+Role.belongsToMany(Department, {
+  through: RoleDepartment,
+  foreignKey: 'role_id',
+  otherKey: 'department_id',
+  as: 'departments'
+});
+
+Department.belongsToMany(Role, {
+  through: RoleDepartment,
+  foreignKey: 'department_id',
+  otherKey: 'role_id',
+  as: 'roles'
+});
+
+User.belongsTo(Department, {
+  foreignKey: 'department_id',
+  as: 'department'
+});
+
+Department.hasMany(User, {
+  foreignKey: 'department_id',
+  as: 'users'
+});
+
+User.hasMany(LoginLog, {
+  foreignKey: 'user_id',
+  as: 'loginLogs'
+});
+
+LoginLog.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+User.hasMany(PasswordHistory, {
+  foreignKey: 'user_id',
+  as: 'passwordHistories'
+});
+
+User.hasMany(ApiKey, {
+  foreignKey: 'user_id',
+  as: 'apiKeys'
+});
+
+ApiKey.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+ImpersonationLog.belongsTo(User, {
+  foreignKey: 'impersonator_id',
+  as: 'impersonator'
+});
+
+ImpersonationLog.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+Invitation.belongsTo(User, {
+  foreignKey: 'invited_by',
+  as: 'inviter'
+});
+
+// 角色自关联（父子关系）
+Role.hasMany(Role, {
+  foreignKey: 'parent_id',
+  as: 'children'
+});
+
+Role.belongsTo(Role, {
+  foreignKey: 'parent_id',
+  as: 'parent'
+});
+
 // 权限自关联（父子关系）
 Permission.hasMany(Permission, {
   foreignKey: 'parent_id',
@@ -51,5 +133,12 @@ module.exports = {
   Role,
   Permission,
   UserRole,
-  RolePermission
+  RolePermission,
+  LoginLog,
+  PasswordHistory,
+  ApiKey,
+  ImpersonationLog,
+  Invitation,
+  Department,
+  RoleDepartment
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+const BaseRepository = require('./BaseRepository');
+const { ApiKey } = require('../models');
+
+class ApiKeyRepository extends BaseRepository {
+  constructor() {
+    super(ApiKey);
+  }
+
+  /**
+   * 根据密钥哈希查找
+   * @param {String} keyHash - 密钥哈希
+   * @returns {Object|null} API密钥
+   */
+  async findByHash(keyHash) {
+    return await this.findOne({ key_hash: keyHash });
+  }
+
+  /**
+   * 获取用户的API密钥列表（不包含哈希）
+   * @param {Number} userId - 用户ID
+   * @returns {Array} API密钥列表
+   */
+  async findByUser(userId) {
+    return await this.findAll({ user_id: userId }, {
+      attributes: { exclude: ['key_hash'] },
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * 统计用户有效的API密钥数量
+   * @param {Number} userId - 用户ID
+   * @returns {Number} 数量
+   */
+  async countActiveByUser(userId) {
+    return await this.model.count({
+      where: { user_id: userId, status: 1 }
+    });
+  }
+}
+
+// 导出实例
+module.exports = new ApiKeyRepository();
@@ -5,6 +5,15 @@ class BaseRepository {
     this.model = model;
   }
 
+  /**
+   * 在事务中执行操作，回调抛出异常时自动回滚
+   * @param {Function} callback - 接收事务对象的回调函数
+   * @returns {*} 回调函数的返回值
+   */
+  async transaction(callback) {
+    return await this.model.sequelize.transaction(callback);
+  }
+
   /**
    * 根据ID查找记录
    * @param {Number} id - 记录ID
@@ -204,6 +213,28 @@ class BaseRepository {
     };
   }
 
+  /**
+   * 构建数据范围查询条件
+   * @param {Object|null} dataScope - 数据范围 { all, departmentIds, userId }，为空时不限制
+   * @param {Object} fields - 字段映射 { department, user }
+   * @returns {Object} 查询条件
+   */
+  buildDataScopeCondition(dataScope, fields = {}) {
+    if (!dataScope || dataScope.all) {
+      return {};
+    }
+
+    const { department = 'department_id', user = 'user_id' } = fields;
+
+    // 始终可以看到本人的数据
+    const conditions = [{ [user]: dataScope.userId }];
+    if (dataScope.departmentIds.length > 0) {
+      conditions.push({ [department]: { [Op.in]: dataScope.departmentIds } });
+    }
+
+    return { [Op.or]: conditions };
+  }
+
   /**
    * 构建IN查询条件
    * @param {String} field - 字段名
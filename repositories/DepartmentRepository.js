@@ -0,0 +1,131 @@
+const BaseRepository = require('./BaseRepository');
+const { Department, User } = require('../models');
+const { Op } = require('sequelize');
+
+class DepartmentRepository extends BaseRepository {
+  constructor() {
+    super(Department);
+  }
+
+  /**
+   * 获取部门树形结构
+   * @returns {Array} 部门树
+   */
+  async getDepartmentTree() {
+    const departments = await this.findAll({}, {
+      include: [{
+        model: User,
+        as: 'users',
+        where: { is_leader: 1 },
+        required: false,
+        attributes: ['id', 'username', 'real_name']
+      }],
+      order: [['sort_order', 'ASC'], ['id', 'ASC']]
+    });
+
+    return this.buildTree(departments, 0);
+  }
+
+  /**
+   * 构建部门树形结构
+   * @param {Array} departments - 部门数组
+   * @param {Number} parentId - 父部门ID
+   * @returns {Array} 部门树
+   */
+  buildTree(departments, parentId = 0) {
+    const tree = [];
+
+    departments.forEach(department => {
+      if (department.parent_id === parentId) {
+        const children = this.buildTree(departments, department.id);
+        const departmentData = department.toJSON();
+
+        // 关联查询出的用户只包含负责人
+        departmentData.leaders = departmentData.users || [];
+        delete departmentData.users;
+
+        if (children.length > 0) {
+          departmentData.children = children;
+        }
+
+        tree.push(departmentData);
+      }
+    });
+
+    return tree;
+  }
+
+  /**
+   * 获取部门负责人
+   * @param {Number} departmentId - 部门ID
+   * @returns {Array} 负责人列表
+   */
+  async getLeaders(departmentId) {
+    return await User.findAll({
+      where: { department_id: departmentId, is_leader: 1 },
+      attributes: ['id', 'username', 'real_name', 'email']
+    });
+  }
+
+  /**
+   * 获取部门的直属成员数量
+   * @param {Number} departmentId - 部门ID
+   * @returns {Number} 成员数量
+   */
+  async getUserCount(departmentId) {
+    return await User.count({ where: { department_id: departmentId } });
+  }
+
+  /**
+   * 获取子部门数量
+   * @param {Number} parentId - 父部门ID
+   * @returns {Number} 子部门数量
+   */
+  async getChildrenCount(parentId) {
+    return await this.count({ parent_id: parentId });
+  }
+
+  /**
+   * 检查同级部门名称是否已存在
+   * @param {String} name - 部门名称
+   * @param {Number} parentId - 父部门ID
+   * @param {Number} excludeId - 排除的部门ID
+   * @returns {Boolean} 是否已存在
+   */
+  async isNameExists(name, parentId, excludeId = null) {
+    const where = { name, parent_id: parentId };
+
+    if (excludeId) {
+      where.id = { [Op.ne]: excludeId };
+    }
+
+    return await this.exists(where);
+  }
+
+  /**
+   * 获取部门的所有下级部门ID（递归）
+   * @param {Number|Array} departmentIds - 部门ID或ID数组
+   * @returns {Array} 下级部门ID数组（不含自身）
+   */
+  async getDescendantIds(departmentIds) {
+    const departments = await this.findAll({}, { attributes: ['id', 'parent_id'] });
+
+    const startIds = [].concat(departmentIds).map((id) => parseInt(id));
+    const descendantIds = new Set();
+    let currentIds = startIds;
+
+    while (currentIds.length > 0) {
+      currentIds = departments
+        .filter((department) => currentIds.includes(department.parent_id) && !descendantIds.has(department.id))
+        .map((department) => department.id);
+      currentIds.forEach((id) => descendantIds.add(id));
+    }
+
+    startIds.forEach((id) => descendantIds.delete(id));
+
+    return Array.from(descendantIds);
+  }
+}
+
+// 导出实例
+module.exports = new DepartmentRepository();
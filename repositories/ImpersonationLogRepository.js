@@ -0,0 +1,29 @@
+const BaseRepository = require('./BaseRepository');
+const { ImpersonationLog, User } = require('../models');
+
+class ImpersonationLogRepository extends BaseRepository {
+  constructor() {
+    super(ImpersonationLog);
+  }
+
+  /**
+   * 分页查询用户被模拟登录的记录
+   * @param {Number} userId - 被模拟的用户ID
+   * @param {Number} page - 页码
+   * @param {Number} pageSize - 每页数量
+   * @returns {Object} 记录列表和总数
+   */
+  async findByUserPaginated(userId, page = 1, pageSize = 10) {
+    return await this.findPaginated(page, pageSize, { user_id: userId }, {
+      include: [{
+        model: User,
+        as: 'impersonator',
+        attributes: ['id', 'username', 'real_name']
+      }],
+      order: [['created_at', 'DESC'], ['id', 'DESC']]
+    });
+  }
+}
+
+// 导出实例
+module.exports = new ImpersonationLogRepository();
@@ -0,0 +1,70 @@
+const { Op } = require('sequelize');
+const BaseRepository = require('./BaseRepository');
+const { Invitation, User } = require('../models');
+
+class InvitationRepository extends BaseRepository {
+  constructor() {
+    super(Invitation);
+  }
+
+  /**
+   * 根据令牌哈希查找邀请
+   * @param {String} tokenHash - 令牌哈希
+   * @returns {Object|null} 邀请信息
+   */
+  async findByTokenHash(tokenHash) {
+    return await this.findOne({ token_hash: tokenHash });
+  }
+
+  /**
+   * 查找邮箱的有效待接受邀请
+   * @param {String} email - 邮箱
+   * @returns {Object|null} 邀请信息
+   */
+  async findActiveByEmail(email) {
+    return await this.findOne({
+      email,
+      status: 'pending',
+      expires_at: { [Op.gt]: new Date() }
+    });
+  }
+
+  /**
+   * 分页查询邀请列表（不包含令牌哈希）
+   * @param {Number} page - 页码
+   * @param {Number} pageSize - 每页数量
+   * @param {Object} filters - 筛选条件 { email, status }
+   * @returns {Object} 邀请列表和总数
+   */
+  async findInvitationsPaginated(page = 1, pageSize = 10, filters = {}) {
+    const where = {};
+
+    if (filters.email) {
+      where.email = { [Op.like]: `%${filters.email}%` };
+    }
+
+    // 已过期是待接受且超过有效期的邀请
+    if (filters.status === 'pending') {
+      where.status = 'pending';
+      where.expires_at = { [Op.gt]: new Date() };
+    } else if (filters.status === 'expired') {
+      where.status = 'pending';
+      where.expires_at = { [Op.lte]: new Date() };
+    } else if (filters.status) {
+      where.status = filters.status;
+    }
+
+    return await this.findPaginated(page, pageSize, where, {
+      attributes: { exclude: ['token_hash'] },
+      include: [{
+        model: User,
+        as: 'inviter',
+        attributes: ['id', 'username', 'real_name']
+      }],
+      order: [['created_at', 'DESC']]
+    });
+  }
+}
+
+// 导出实例
+module.exports = new InvitationRepository();
@@ -0,0 +1,24 @@
+const BaseRepository = require('./BaseRepository');
+const { LoginLog } = require('../models');
+
+class LoginLogRepository extends BaseRepository {
+  constructor() {
+    super(LoginLog);
+  }
+
+  /**
+   * 分页查询用户的登录记录
+   * @param {Number} userId - 用户ID
+   * @param {Number} page - 页码
+   * @param {Number} pageSize - 每页数量
+   * @returns {Object} 登录记录列表和总数
+   */
+  async findByUserPaginated(userId, page = 1, pageSize = 10) {
+    return await this.findPaginated(page, pageSize, { user_id: userId }, {
+      order: [['created_at', 'DESC'], ['id', 'DESC']]
+    });
+  }
+}
+
+// 导出实例
+module.exports = new LoginLogRepository();
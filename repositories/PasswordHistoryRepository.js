@@ -0,0 +1,40 @@
+const { Op } = require('sequelize');
+const BaseRepository = require('./BaseRepository');
+const { PasswordHistory } = require('../models');
+
+class PasswordHistoryRepository extends BaseRepository {
+  constructor() {
+    super(PasswordHistory);
+  }
+
+  /**
+   * 获取用户最近的历史密码
+   * @param {Number} userId - 用户ID
+   * @param {Number} limit - 数量
+   * @returns {Array} 历史密码列表（新的在前）
+   */
+  async findRecentByUser(userId, limit) {
+    return await this.findAll({ user_id: userId }, {
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit
+    });
+  }
+
+  /**
+   * 仅保留用户最近的历史密码，删除更早的记录
+   * @param {Number} userId - 用户ID
+   * @param {Number} keep - 保留数量
+   */
+  async pruneByUser(userId, keep) {
+    const recent = await this.findRecentByUser(userId, keep);
+    await this.model.destroy({
+      where: {
+        user_id: userId,
+        id: { [Op.notIn]: recent.map((item) => item.id) }
+      }
+    });
+  }
+}
+
+// 导出实例
+module.exports = new PasswordHistoryRepository();
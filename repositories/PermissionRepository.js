@@ -1,5 +1,5 @@
 const BaseRepository = require('./BaseRepository');
-const { Permission } = require('../models');
+const { Permission, RolePermission } = require('../models');
 const { Op } = require('sequelize');
 
 class PermissionRepository extends BaseRepository {
@@ -112,6 +112,23 @@ class PermissionRepository extends BaseRepository {
     });
   }
 
+  /**
+   * 获取已启用且配置了路径的接口权限
+   * @returns {Array} 权限列表
+   */
+  async findApiPermissions() {
+    return await this.findAll(
+      {
+        type: 'api',
+        status: 1,
+        path: { [Op.ne]: null }
+      },
+      {
+        attributes: ['id', 'code', 'path', 'method']
+      }
+    );
+  }
+
   /**
    * 获取子权限数量
    * @param {Number} parentId - 父权限ID
@@ -154,6 +171,42 @@ class PermissionRepository extends BaseRepository {
 
     return childrenIds;
   }
+
+  /**
+   * 获取权限的所有上级权限ID
+   * @param {Number} id - 权限ID
+   * @returns {Array} 上级权限ID数组（由近及远）
+   */
+  async getAncestorIds(id) {
+    const permissions = await this.findAll({}, { attributes: ['id', 'parent_id'] });
+    const parentMap = new Map(permissions.map((permission) => [permission.id, permission.parent_id]));
+
+    const ancestorIds = [];
+    let parentId = parentMap.get(parseInt(id));
+
+    // 防止历史数据中存在环时死循环
+    while (parentId && parentMap.has(parentId) && !ancestorIds.includes(parentId)) {
+      ancestorIds.push(parentId);
+      parentId = parentMap.get(parentId);
+    }
+
+    return ancestorIds;
+  }
+
+  /**
+   * 获取拥有指定权限的角色ID
+   * @param {Number|Array} permissionIds - 权限ID或ID数组
+   * @returns {Array} 角色ID数组
+   */
+  async getRoleIds(permissionIds) {
+    const rows = await RolePermission.findAll({
+      where: { permission_id: { [Op.in]: [].concat(permissionIds) } },
+      attributes: ['role_id'],
+      raw: true
+    });
+
+    return [...new Set(rows.map((row) => row.role_id))];
+  }
 }
 
 // 导出实例
@@ -1,5 +1,5 @@
 const BaseRepository = require('./BaseRepository');
-const { Role, Permission, User } = require('../models');
+const { Role, Permission, User, UserRole, Department, RoleDepartment } = require('../models');
 const { Op } = require('sequelize');
 
 class RoleRepository extends BaseRepository {
@@ -53,6 +53,105 @@ class RoleRepository extends BaseRepository {
     });
   }
 
+  /**
+   * 获取角色树形结构
+   * @returns {Array} 角色树
+   */
+  async getRoleTree() {
+    const roles = await this.findAll({}, {
+      order: [['id', 'ASC']]
+    });
+
+    return this.buildTree(roles, 0);
+  }
+
+  /**
+   * 构建角色树形结构
+   * @param {Array} roles - 角色数组
+   * @param {Number} parentId - 父角色ID
+   * @returns {Array} 角色树
+   */
+  buildTree(roles, parentId = 0) {
+    const tree = [];
+
+    roles.forEach(role => {
+      if (role.parent_id === parentId) {
+        const children = this.buildTree(roles, role.id);
+        const roleData = role.toJSON();
+
+        if (children.length > 0) {
+          roleData.children = children;
+        }
+
+        tree.push(roleData);
+      }
+    });
+
+    return tree;
+  }
+
+  /**
+   * 获取角色的所有上级角色ID（沿父角色逐级向上）
+   * @param {Number|Array} roleIds - 角色ID或ID数组
+   * @param {Boolean} enabledOnly - 是否只沿启用的角色继承（遇到禁用角色即中断）
+   * @returns {Array} 上级角色ID数组（不含自身）
+   */
+  async getAncestorIds(roleIds, enabledOnly = false) {
+    const where = enabledOnly ? { status: 1 } : {};
+    const roles = await this.findAll(where, { attributes: ['id', 'parent_id'] });
+    const parentMap = new Map(roles.map((role) => [role.id, role.parent_id]));
+
+    const startIds = [].concat(roleIds).map((id) => parseInt(id));
+    const ancestorIds = new Set();
+
+    for (const roleId of startIds) {
+      let parentId = parentMap.get(roleId);
+
+      // 记录已访问的角色，防止历史数据中存在环时死循环
+      while (parentId && parentMap.has(parentId) && !ancestorIds.has(parentId)) {
+        ancestorIds.add(parentId);
+        parentId = parentMap.get(parentId);
+      }
+    }
+
+    startIds.forEach((id) => ancestorIds.delete(id));
+
+    return Array.from(ancestorIds);
+  }
+
+  /**
+   * 获取角色的所有下级角色ID（递归）
+   * @param {Number|Array} roleIds - 角色ID或ID数组
+   * @returns {Array} 下级角色ID数组（不含自身）
+   */
+  async getDescendantIds(roleIds) {
+    const roles = await this.findAll({}, { attributes: ['id', 'parent_id'] });
+
+    const startIds = [].concat(roleIds).map((id) => parseInt(id));
+    const descendantIds = new Set();
+    let currentIds = startIds;
+
+    while (currentIds.length > 0) {
+      currentIds = roles
+        .filter((role) => currentIds.includes(role.parent_id) && !descendantIds.has(role.id))
+        .map((role) => role.id);
+      currentIds.forEach((id) => descendantIds.add(id));
+    }
+
+    startIds.forEach((id) => descendantIds.delete(id));
+
+    return Array.from(descendantIds);
+  }
+
+  /**
+   * 获取子角色数量
+   * @param {Number} parentId - 父角色ID
+   * @returns {Number} 子角色数量
+   */
+  async getChildrenCount(parentId) {
+    return await this.count({ parent_id: parentId });
+  }
+
   /**
    * 获取角色的权限列表
    * @param {Number} roleId - 角色ID
@@ -73,6 +172,68 @@ class RoleRepository extends BaseRepository {
     return role ? role.permissions : [];
   }
 
+  /**
+   * 获取角色的有效权限列表（包含从上级角色继承和通过上级权限覆盖获得的权限）
+   * @param {Number|Array} roleIds - 角色ID或ID数组
+   * @returns {Array} 权限列表
+   */
+  async getEffectivePermissions(roleIds) {
+    // 角色继承所有启用的上级角色的权限
+    const directRoleIds = [].concat(roleIds).map((id) => parseInt(id));
+    const ancestorIds = await this.getAncestorIds(directRoleIds, true);
+    const allRoleIds = directRoleIds.concat(ancestorIds);
+
+    const permissions = await Permission.findAll({
+      where: { status: 1 },
+      include: [{
+        model: Role,
+        as: 'roles',
+        where: { id: { [Op.in]: allRoleIds } },
+        attributes: [],
+        through: { attributes: [] }
+      }]
+    });
+
+    // 去重权限
+    const permissionMap = new Map();
+    permissions.forEach(permission => {
+      permissionMap.set(permission.id, permission);
+    });
+
+    // 配置了覆盖下级的权限（通常是菜单）同时授予其全部启用的下级权限
+    const coveringIds = permissions
+      .filter(permission => permission.cover_children === 1)
+      .map(permission => permission.id);
+    if (coveringIds.length > 0) {
+      const allPermissions = await Permission.findAll({ where: { status: 1 } });
+      let parentIds = coveringIds;
+
+      while (parentIds.length > 0) {
+        const children = allPermissions.filter(
+          permission => parentIds.includes(permission.parent_id) && !permissionMap.has(permission.id)
+        );
+        children.forEach(permission => permissionMap.set(permission.id, permission));
+        parentIds = children.map(permission => permission.id);
+      }
+    }
+
+    return Array.from(permissionMap.values());
+  }
+
+  /**
+   * 为角色追加权限（保留已有权限）
+   * @param {Number} roleId - 角色ID
+   * @param {Array} permissionIds - 权限ID数组
+   */
+  async addPermissions(roleId, permissionIds) {
+    const role = await this.findById(roleId);
+    if (!role) {
+      throw new Error('角色不存在');
+    }
+
+    await role.addPermissions(permissionIds);
+  }
+
   /**
    * 为角色分配权限
    * @param {Number} roleId - 角色ID
@@ -91,6 +252,39 @@ class RoleRepository extends BaseRepository {
     await role.setPermissions(permissions);
   }
 
+  /**
+   * 获取角色自定义数据范围的部门ID
+   * @param {Number} roleId - 角色ID
+   * @returns {Array} 部门ID数组
+   */
+  async getDepartmentIds(roleId) {
+    const rows = await RoleDepartment.findAll({
+      where: { role_id: roleId },
+      attributes: ['department_id'],
+      raw: true
+    });
+
+    return rows.map((row) => row.department_id);
+  }
+
+  /**
+   * 设置角色自定义数据范围的部门
+   * @param {Number} roleId - 角色ID
+   * @param {Array} departmentIds - 部门ID数组
+   */
+  async assignDepartments(roleId, departmentIds) {
+    const role = await this.findById(roleId);
+    if (!role) {
+      throw new Error('角色不存在');
+    }
+
+    const departments = await Department.findAll({
+      where: { id: { [Op.in]: departmentIds } }
+    });
+
+    await role.setDepartments(departments);
+  }
+
   /**
    * 获取拥有该角色的用户数量
    * @param {Number} roleId - 角色ID
@@ -108,6 +302,21 @@ class RoleRepository extends BaseRepository {
     return role ? role.users.length : 0;
   }
 
+  /**
+   * 获取拥有指定角色的用户ID
+   * @param {Number|Array} roleIds - 角色ID或ID数组
+   * @returns {Array} 用户ID数组
+   */
+  async getUserIds(roleIds) {
+    const rows = await UserRole.findAll({
+      where: { role_id: { [Op.in]: [].concat(roleIds) } },
+      attributes: ['user_id'],
+      raw: true
+    });
+
+    return [...new Set(rows.map((row) => row.user_id))];
+  }
+
   /**
    * 检查角色代码是否已存在
    * @param {String} code - 角色代码
@@ -1,8 +1,12 @@
 const BaseRepository = require('./BaseRepository');
-const { User, Role, Permission } = require('../models');
+const { User, Role, Department } = require('../models');
+const roleRepository = require('./RoleRepository');
 const bcrypt = require('bcryptjs');
 const { Op } = require('sequelize');
 
+// 查询用户信息时需要排除的敏感字段
+const SENSITIVE_FIELDS = ['password', 'mfa_secret', 'mfa_recovery_codes'];
+
 class UserRepository extends BaseRepository {
   constructor() {
     super(User);
@@ -29,27 +33,30 @@ class UserRepository extends BaseRepository {
   /**
    * 创建用户
    * @param {Object} userData - 用户数据
+   * @param {Object} options - 创建选项（如事务）
    * @returns {Object} 创建的用户信息
    */
-  async createUser(userData) {
+  async createUser(userData, options = {}) {
     const { password, ...otherData } = userData;
     const hashedPassword = await bcrypt.hash(password, 10);
     
     return await this.create({
       ...otherData,
-      password: hashedPassword
-    });
+      password: hashedPassword,
+      password_changed_at: new Date()
+    }, options);
   }
 
   /**
-   * 分页查询用户列表（排除密码字段）
+   * 分页查询用户列表（排除敏感字段）
    * @param {Number} page - 页码
    * @param {Number} pageSize - 每页数量
    * @param {Object} filters - 过滤条件
+   * @param {Object|null} dataScope - 调用者的数据范围，为空时不限制
    * @returns {Object} 用户列表和总数
    */
-  async findUsersPaginated(page = 1, pageSize = 10, filters = {}) {
-    const where = {};
+  async findUsersPaginated(page = 1, pageSize = 10, filters = {}, dataScope = null) {
+    const where = this.buildDataScopeCondition(dataScope, { user: 'id' });
 
     if (filters.username) {
       Object.assign(where, this.buildLikeCondition('username', filters.username));
@@ -63,20 +70,29 @@ class UserRepository extends BaseRepository {
       where.status = filters.status;
     }
 
+    if (filters.departmentIds) {
+      where.department_id = { [Op.in]: filters.departmentIds };
+    }
+
     return await this.findPaginated(page, pageSize, where, {
-      attributes: { exclude: ['password'] },
+      attributes: { exclude: SENSITIVE_FIELDS },
+      include: [{
+        model: Department,
+        as: 'department',
+        attributes: ['id', 'name']
+      }],
       order: [['created_at', 'DESC']]
     });
   }
 
   /**
-   * 根据ID获取用户详情（排除密码）
+   * 根据ID获取用户详情（排除敏感字段）
    * @param {Number} id - 用户ID
    * @returns {Object|null} 用户信息
    */
   async findUserById(id) {
     return await this.findById(id, {
-      attributes: { exclude: ['password'] }
+      attributes: { exclude: SENSITIVE_FIELDS }
     });
   }
 
@@ -112,59 +128,35 @@ class UserRepository extends BaseRepository {
   }
 
   /**
-   * 获取用户的权限列表
+   * 获取用户的权限列表（包含角色从上级角色继承的权限）
    * @param {Number} userId - 用户ID
    * @returns {Array} 权限列表
    */
   async getUserPermissions(userId) {
-    const user = await this.findById(userId, {
-      include: [{
-        model: Role,
-        as: 'roles',
-        where: { status: 1 },
-        required: false,
-        through: { attributes: [] },
-        include: [{
-          model: Permission,
-          as: 'permissions',
-          where: { status: 1 },
-          required: false,
-          through: { attributes: [] }
-        }]
-      }]
-    });
-
-    if (!user || !user.roles) return [];
+    const roles = await this.getUserRoles(userId);
+    if (roles.length === 0) return [];
 
-    // 去重权限
-    const permissionMap = new Map();
-    user.roles.forEach(role => {
-      if (role.permissions) {
-        role.permissions.forEach(permission => {
-          permissionMap.set(permission.id, permission);
-        });
-      }
-    });
-
-    return Array.from(permissionMap.values());
+    return await roleRepository.getEffectivePermissions(roles.map(role => role.id));
   }
 
   /**
    * 为用户分配角色
    * @param {Number} userId - 用户ID
    * @param {Array} roleIds - 角色ID数组
+   * @param {Object} options - 操作选项（如事务）
    */
-  async assignRoles(userId, roleIds) {
-    const user = await this.findById(userId);
+  async assignRoles(userId, roleIds, options = {}) {
+    const user = await this.findById(userId, options);
     if (!user) {
       throw new Error('用户不存在');
     }
 
     const roles = await Role.findAll({
-      where: { id: { [Op.in]: roleIds } }
+      where: { id: { [Op.in]: roleIds } },
+      ...options
     });
 
-    await user.setRoles(roles);
+    await user.setRoles(roles, options);
   }
 
   /**
@@ -184,7 +176,10 @@ class UserRepository extends BaseRepository {
    */
   async updatePassword(id, newPassword) {
     const hashedPassword = await bcrypt.hash(newPassword, 10);
-    await this.updateById(id, { password: hashedPassword });
+    await this.updateById(id, {
+      password: hashedPassword,
+      password_changed_at: new Date()
+    });
   }
 }
 
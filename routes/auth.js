@@ -1,16 +1,46 @@
 const Router = require('@koa/router');
 const authController = require('../controllers/AuthController');
-const { authenticate } = require('../middleware/auth');
-const { validateSchema, userSchemas } = require('../utils/validator');
-const { createRateLimiter, rateLimitConfigs } = require('../middleware/rateLimiter');
+const apiKeyController = require('../controllers/ApiKeyController');
+const invitationController = require('../controllers/InvitationController');
+const {
+  authenticate,
+  rejectApiKey,
+  blockImpersonation
+} = require('../middleware/auth');
+const {
+  validateSchema,
+  userSchemas,
+  sessionSchemas,
+  mfaSchemas,
+  apiKeySchemas,
+  invitationSchemas,
+  commonSchemas
+} = require('../utils/validator');
+const {
+  createRateLimiter,
+  createEndpointRateLimiter,
+  rateLimitConfigs
+} = require('../middleware/rateLimiter');
+const {
+  requireCaptcha,
+  requireCaptchaAfterLoginFailures
+} = require('../middleware/captcha');
 
 const router = new Router({ prefix: '/api/auth' });
 
+// 获取图形验证码
+router.get(
+  '/captcha',
+  createRateLimiter(rateLimitConfigs.moderate),
+  authController.getCaptcha
+);
+
 // 用户注册
 router.post(
   '/register',
   createRateLimiter(rateLimitConfigs.strict),
   validateSchema(userSchemas.register),
+  requireCaptcha,
   authController.register
 );
 
@@ -27,6 +57,7 @@ router.post(
   '/resend-verification',
   createRateLimiter(rateLimitConfigs.strict),
   validateSchema(userSchemas.resendVerification),
+  requireCaptcha,
   authController.resendVerificationEmail
 );
 
@@ -35,22 +66,218 @@ router.post(
   '/login',
   createRateLimiter(rateLimitConfigs.strict),
   validateSchema(userSchemas.login),
+  requireCaptchaAfterLoginFailures,
   authController.login
 );
 
+// 两步验证登录
+router.post(
+  '/login/mfa',
+  createEndpointRateLimiter(rateLimitConfigs.strict),
+  validateSchema(mfaSchemas.login),
+  authController.loginWithMfa
+);
+
+// 登录过程中绑定两步验证（角色强制要求时）
+router.post(
+  '/login/mfa/setup',
+  createEndpointRateLimiter(rateLimitConfigs.strict),
+  validateSchema(mfaSchemas.loginSetup),
+  authController.setupMfaForLogin
+);
+
+router.post(
+  '/login/mfa/enable',
+  createEndpointRateLimiter(rateLimitConfigs.strict),
+  validateSchema(mfaSchemas.loginEnable),
+  authController.enableMfaForLogin
+);
+
+// 登录时修改已过期的密码
+router.post(
+  '/login/change-password',
+  createEndpointRateLimiter(rateLimitConfigs.strict),
+  validateSchema(userSchemas.changeExpiredPassword),
+  authController.changeExpiredPassword
+);
+
+// 获取密码策略
+router.get('/password-policy', authController.getPasswordPolicy);
+
+// 发送快捷登录链接
+router.post(
+  '/magic-link',
+  createRateLimiter(rateLimitConfigs.strict),
+  validateSchema(userSchemas.magicLink),
+  authController.sendMagicLink
+);
+
+// 使用快捷登录链接登录
+router.post(
+  '/magic-link/consume',
+  createRateLimiter(rateLimitConfigs.strict),
+  validateSchema(userSchemas.consumeMagicLink),
+  authController.consumeMagicLink
+);
+
+// 获取邀请信息（令牌放在查询参数中）
+router.get(
+  '/invitation',
+  createRateLimiter(rateLimitConfigs.moderate),
+  validateSchema(invitationSchemas.token, 'query'),
+  invitationController.getInvitationByToken
+);
+
+// 接受邀请并设置密码
+router.post(
+  '/invitation/accept',
+  createRateLimiter(rateLimitConfigs.strict),
+  validateSchema(invitationSchemas.accept),
+  invitationController.acceptInvitation
+);
+
+// 忘记密码
+router.post(
+  '/forgot-password',
+  createRateLimiter(rateLimitConfigs.strict),
+  validateSchema(userSchemas.forgotPassword),
+  authController.forgotPassword
+);
+
+// 重置密码
+router.post(
+  '/reset-password',
+  createRateLimiter(rateLimitConfigs.strict),
+  validateSchema(userSchemas.resetPassword),
+  authController.resetPassword
+);
+
+// 刷新访问令牌
+router.post(
+  '/refresh',
+  createRateLimiter(rateLimitConfigs.moderate),
+  validateSchema(userSchemas.refreshToken),
+  authController.refreshToken
+);
+
 // 需要鉴权登录接口
 router.use(authenticate);
 
+// 账户相关接口只允许用户本人登录后操作，不接受API密钥
+router.use(rejectApiKey);
+
 // 获取当前用户信息
 router.get('/me', authController.getCurrentUser);
 
+// 获取当前用户的菜单树和按钮权限
+router.get('/menus', authController.getMenus);
+
 // 修改密码
 router.post(
   '/change-password',
+  blockImpersonation,
   createRateLimiter(rateLimitConfigs.strict),
+  validateSchema(userSchemas.changePassword),
   authController.changePassword
 );
 
+// 申请更换邮箱（验证码发送至新邮箱）
+router.post(
+  '/change-email',
+  blockImpersonation,
+  createRateLimiter(rateLimitConfigs.strict),
+  validateSchema(userSchemas.changeEmail),
+  authController.changeEmail
+);
+
+// 确认更换邮箱
+router.post(
+  '/change-email/verify',
+  blockImpersonation,
+  createEndpointRateLimiter(rateLimitConfigs.strict),
+  validateSchema(userSchemas.verifyEmailChange),
+  authController.verifyEmailChange
+);
+
+// 开启或关闭快捷登录
+router.put(
+  '/magic-link/preference',
+  blockImpersonation,
+  validateSchema(userSchemas.magicLinkPreference),
+  authController.setMagicLinkPreference
+);
+
+// 绑定两步验证
+router.post('/mfa/setup', blockImpersonation, authController.setupMfa);
+
+// 启用两步验证
+router.post(
+  '/mfa/enable',
+  blockImpersonation,
+  createEndpointRateLimiter(rateLimitConfigs.strict),
+  validateSchema(mfaSchemas.enable),
+  authController.enableMfa
+);
+
+// 关闭两步验证
+router.post(
+  '/mfa/disable',
+  blockImpersonation,
+  createEndpointRateLimiter(rateLimitConfigs.strict),
+  validateSchema(mfaSchemas.disable),
+  authController.disableMfa
+);
+
+// 重新生成恢复码
+router.post(
+  '/mfa/recovery-codes',
+  blockImpersonation,
+  createEndpointRateLimiter(rateLimitConfigs.strict),
+  validateSchema(mfaSchemas.enable),
+  authController.regenerateRecoveryCodes
+);
+
+// 获取当前用户的登录会话
+router.get('/sessions', authController.getSessions);
+
+// 注销指定会话
+router.delete(
+  '/sessions/:id',
+  blockImpersonation,
+  validateSchema(sessionSchemas.params, 'params'),
+  authController.revokeSession
+);
+
+// 获取当前用户的登录记录
+router.get(
+  '/login-history',
+  validateSchema(commonSchemas.pagination, 'query'),
+  authController.getLoginHistory
+);
+
+// 获取API密钥列表
+router.get('/api-keys', apiKeyController.getApiKeys);
+
+// 创建API密钥
+router.post(
+  '/api-keys',
+  blockImpersonation,
+  createRateLimiter(rateLimitConfigs.strict),
+  validateSchema(apiKeySchemas.create),
+  apiKeyController.createApiKey
+);
+
+// 吊销API密钥
+router.delete(
+  '/api-keys/:id',
+  blockImpersonation,
+  validateSchema(commonSchemas.id, 'params'),
+  apiKeyController.revokeApiKey
+);
+
+// 结束模拟登录
+router.post('/impersonation/stop', authController.stopImpersonation);
+
 // 退出登录
 router.post('/logout', authController.logout);
 
@@ -0,0 +1,82 @@
+const Router = require('@koa/router');
+const departmentController = require('../controllers/DepartmentController');
+const { authenticate } = require('../middleware/auth');
+const { authorizeApi } = require('../middleware/apiAuthorization');
+const { requirePermission } = require('../middleware/permission');
+const { createUserRateLimiter, rateLimitConfigs } = require('../middleware/rateLimiter');
+const {
+  validateSchema,
+  departmentSchemas,
+  commonSchemas
+} = require('../utils/validator');
+
+const router = new Router({ prefix: '/api/departments' });
+
+// 需要鉴权登录接口
+router.use(authenticate);
+
+// 按数据库中的接口权限配置鉴权
+router.use(authorizeApi);
+
+// 应用中等限流到所有部门接口
+router.use(createUserRateLimiter(rateLimitConfigs.moderate));
+
+// 获取部门树形结构
+router.get(
+  '/',
+  requirePermission('department:list'),
+  departmentController.getDepartmentTree
+);
+
+// 根据ID获取部门详情
+router.get(
+  '/:id',
+  requirePermission('department:list'),
+  validateSchema(commonSchemas.id, 'params'),
+  departmentController.getDepartmentById
+);
+
+// 获取部门成员（默认包含下级部门）
+router.get(
+  '/:id/users',
+  requirePermission('department:list AND user:list'),
+  validateSchema(commonSchemas.id, 'params'),
+  validateSchema(departmentSchemas.users, 'query'),
+  departmentController.getDepartmentUsers
+);
+
+// 创建部门
+router.post(
+  '/',
+  requirePermission('department:create'),
+  validateSchema(departmentSchemas.create),
+  departmentController.createDepartment
+);
+
+// 更新部门信息
+router.put(
+  '/:id',
+  requirePermission('department:update'),
+  validateSchema(commonSchemas.id, 'params'),
+  validateSchema(departmentSchemas.update),
+  departmentController.updateDepartment
+);
+
+// 移动部门（连同下级部门）
+router.put(
+  '/:id/move',
+  requirePermission('department:update'),
+  validateSchema(commonSchemas.id, 'params'),
+  validateSchema(departmentSchemas.move),
+  departmentController.moveDepartment
+);
+
+// 删除部门
+router.delete(
+  '/:id',
+  requirePermission('department:delete'),
+  validateSchema(commonSchemas.id, 'params'),
+  departmentController.deleteDepartment
+);
+
+module.exports = router;
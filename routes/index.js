@@ -4,7 +4,9 @@ const authRoutes = require('./auth');
 const userRoutes = require('./users');
 const roleRoutes = require('./roles');
 const permissionRoutes = require('./permissions');
+const departmentRoutes = require('./departments');
 const apiDocs = require('../middleware/apiDocs');
+const jwtKeyStore = require('../utils/jwtKeyStore');
 
 const router = new Router();
 
@@ -16,6 +18,13 @@ router.use(authRoutes.routes(), authRoutes.allowedMethods());
 router.use(userRoutes.routes(), userRoutes.allowedMethods());
 router.use(roleRoutes.routes(), roleRoutes.allowedMethods());
 router.use(permissionRoutes.routes(), permissionRoutes.allowedMethods());
+router.use(departmentRoutes.routes(), departmentRoutes.allowedMethods());
+
+// JWT验证公钥（JWKS），供其他服务离线验证令牌
+router.get('/.well-known/jwks.json', async (ctx) => {
+  ctx.set('Cache-Control', 'public, max-age=300');
+  ctx.body = jwtKeyStore.getJwks();
+});
 
 // 健康检查接口
 router.get('/api/health', async (ctx) => {
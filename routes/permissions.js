@@ -1,6 +1,7 @@
 const Router = require('@koa/router');
 const permissionController = require('../controllers/PermissionController');
 const { authenticate } = require('../middleware/auth');
+const { authorizeApi } = require('../middleware/apiAuthorization');
 const { requirePermission } = require('../middleware/permission');
 const { createUserRateLimiter, rateLimitConfigs } = require('../middleware/rateLimiter');
 const {
@@ -14,6 +15,9 @@ const router = new Router({ prefix: '/api/permissions' });
 // 需要鉴权登录接口
 router.use(authenticate);
 
+// 按数据库中的接口权限配置鉴权
+router.use(authorizeApi);
+
 // 应用中等限流到所有权限接口
 router.use(createUserRateLimiter(rateLimitConfigs.moderate));
 
@@ -1,6 +1,7 @@
 const Router = require('@koa/router');
 const roleController = require('../controllers/RoleController');
 const { authenticate } = require('../middleware/auth');
+const { authorizeApi } = require('../middleware/apiAuthorization');
 const { requirePermission } = require('../middleware/permission');
 const { createUserRateLimiter, rateLimitConfigs } = require('../middleware/rateLimiter');
 const {
@@ -14,12 +15,22 @@ const router = new Router({ prefix: '/api/roles' });
 // 需要鉴权登录接口
 router.use(authenticate);
 
+// 按数据库中的接口权限配置鉴权
+router.use(authorizeApi);
+
 // 应用中等限流到所有角色接口
 router.use(createUserRateLimiter(rateLimitConfigs.moderate));
 
 // 获取角色列表
 router.get('/', requirePermission('role:list'), roleController.getRoles);
 
+// 获取角色树形结构
+router.get(
+  '/tree',
+  requirePermission('role:list'),
+  roleController.getRoleTree
+);
+
 // 根据ID获取角色详情
 router.get(
   '/:id',
@@ -62,4 +73,13 @@ router.post(
   roleController.assignPermissions
 );
 
+// 设置角色的数据范围
+router.put(
+  '/:id/data-scope',
+  requirePermission('role:update'),
+  validateSchema(commonSchemas.id, 'params'),
+  validateSchema(roleSchemas.dataScope),
+  roleController.setDataScope
+);
+
 module.exports = router;
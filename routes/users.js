@@ -1,11 +1,22 @@
 const Router = require('@koa/router');
 const userController = require('../controllers/UserController');
-const { authenticate } = require('../middleware/auth');
-const { requirePermission } = require('../middleware/permission');
+const invitationController = require('../controllers/InvitationController');
+const { authenticate, blockImpersonation } = require('../middleware/auth');
+const { authorizeApi } = require('../middleware/apiAuthorization');
+const { requireUserInScope } = require('../middleware/dataScope');
+const {
+  requirePermission,
+  requireSuperAdmin,
+  requireAccess
+} = require('../middleware/permission');
 const { createUserRateLimiter, rateLimitConfigs } = require('../middleware/rateLimiter');
 const {
   validateSchema,
   userSchemas,
+  sessionSchemas,
+  impersonationSchemas,
+  invitationSchemas,
+  registrationSchemas,
   commonSchemas
 } = require('../utils/validator');
 
@@ -14,6 +25,9 @@ const router = new Router({ prefix: '/api/users' });
 // 需要鉴权登录接口
 router.use(authenticate);
 
+// 按数据库中的接口权限配置鉴权
+router.use(authorizeApi);
+
 // 应用中等限流到所有用户接口
 router.use(createUserRateLimiter(rateLimitConfigs.moderate));
 
@@ -21,15 +35,58 @@ router.use(createUserRateLimiter(rateLimitConfigs.moderate));
 router.get(
   '/',
   requirePermission('user:list'),
-  validateSchema(commonSchemas.pagination, 'query'),
+  validateSchema(userSchemas.list, 'query'),
   userController.getUsers
 );
 
+// 获取邀请列表（需在 /:id 之前注册）
+router.get(
+  '/invitations',
+  requirePermission('user:create'),
+  validateSchema(invitationSchemas.list, 'query'),
+  invitationController.getInvitations
+);
+
+// 邀请新用户
+router.post(
+  '/invitations',
+  createUserRateLimiter(rateLimitConfigs.strict),
+  requirePermission('user:create'),
+  validateSchema(invitationSchemas.create),
+  invitationController.createInvitation
+);
+
+// 重新发送邀请
+router.post(
+  '/invitations/:id/resend',
+  createUserRateLimiter(rateLimitConfigs.strict),
+  requirePermission('user:create'),
+  validateSchema(commonSchemas.id, 'params'),
+  invitationController.resendInvitation
+);
+
+// 撤销邀请
+router.delete(
+  '/invitations/:id',
+  requirePermission('user:create'),
+  validateSchema(commonSchemas.id, 'params'),
+  invitationController.revokeInvitation
+);
+
+// 获取待审核的注册申请（需在 /:id 之前注册）
+router.get(
+  '/registrations',
+  requirePermission('user:approve'),
+  validateSchema(commonSchemas.pagination, 'query'),
+  userController.getPendingRegistrations
+);
+
 // 根据ID获取用户详情
 router.get(
   '/:id',
   requirePermission('user:list'),
   validateSchema(commonSchemas.id, 'params'),
+  requireUserInScope,
   userController.getUserById
 );
 
@@ -47,6 +104,7 @@ router.put(
   requirePermission('user:update'),
   validateSchema(commonSchemas.id, 'params'),
   validateSchema(userSchemas.update),
+  requireUserInScope,
   userController.updateUser
 );
 
@@ -55,23 +113,111 @@ router.delete(
   '/:id',
   requirePermission('user:delete'),
   validateSchema(commonSchemas.id, 'params'),
+  requireUserInScope,
   userController.deleteUser
 );
 
 // 为用户分配角色
 router.post(
   '/:id/roles',
-  requirePermission('user:update'),
+  requirePermission('user:update AND role:list'),
   validateSchema(commonSchemas.id, 'params'),
+  requireUserInScope,
   userController.assignRoles
 );
 
-// 重置用户密码
+// 审核通过注册申请
+router.post(
+  '/:id/approve',
+  requirePermission('user:approve'),
+  validateSchema(commonSchemas.id, 'params'),
+  validateSchema(registrationSchemas.approve),
+  userController.approveRegistration
+);
+
+// 拒绝注册申请
+router.post(
+  '/:id/reject',
+  requirePermission('user:approve'),
+  validateSchema(commonSchemas.id, 'params'),
+  validateSchema(registrationSchemas.reject),
+  userController.rejectRegistration
+);
+
+// 吊销用户全部令牌（强制下线）
+router.post(
+  '/:id/revoke-tokens',
+  requirePermission('user:update'),
+  validateSchema(commonSchemas.id, 'params'),
+  requireUserInScope,
+  userController.revokeTokens
+);
+
+// 获取用户的登录会话
+router.get(
+  '/:id/sessions',
+  requirePermission('user:update'),
+  validateSchema(commonSchemas.id, 'params'),
+  requireUserInScope,
+  userController.getUserSessions
+);
+
+// 获取用户的登录记录
+router.get(
+  '/:id/login-history',
+  requirePermission('user:list'),
+  validateSchema(commonSchemas.id, 'params'),
+  validateSchema(commonSchemas.pagination, 'query'),
+  requireUserInScope,
+  userController.getUserLoginHistory
+);
+
+// 强制注销用户的指定会话
+router.delete(
+  '/:id/sessions/:sessionId',
+  requirePermission('user:update'),
+  validateSchema(sessionSchemas.userParams, 'params'),
+  requireUserInScope,
+  userController.revokeUserSession
+);
+
+// 解除用户登录锁定
+router.post(
+  '/:id/unlock',
+  requirePermission('user:update'),
+  validateSchema(commonSchemas.id, 'params'),
+  requireUserInScope,
+  userController.unlockUser
+);
+
+// 模拟登录为指定用户（仅超级管理员）
+router.post(
+  '/:id/impersonate',
+  createUserRateLimiter(rateLimitConfigs.strict),
+  requireSuperAdmin,
+  validateSchema(commonSchemas.id, 'params'),
+  validateSchema(impersonationSchemas.start),
+  userController.impersonate
+);
+
+// 获取用户被模拟登录的记录
+router.get(
+  '/:id/impersonation-logs',
+  requireSuperAdmin,
+  validateSchema(commonSchemas.id, 'params'),
+  validateSchema(commonSchemas.pagination, 'query'),
+  userController.getImpersonationLogs
+);
+
+// 重置用户密码（仅管理员角色）
 router.post(
   '/:id/reset-password',
+  blockImpersonation,
   createUserRateLimiter(rateLimitConfigs.strict),
-  requirePermission('user:update'),
+  requireAccess({ roles: ['super_admin', 'admin'], permissions: 'user:update' }),
   validateSchema(commonSchemas.id, 'params'),
+  validateSchema(userSchemas.adminResetPassword),
+  requireUserInScope,
   userController.resetPassword
 );
 
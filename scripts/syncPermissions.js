@@ -0,0 +1,65 @@
+/**
+ * 路由与接口权限同步脚本
+ * 用法：
+ *   npm run permissions:sync            只输出差异报告
+ *   npm run permissions:sync -- --apply 为缺少权限的路由创建接口权限
+ */
+require('dotenv').config();
+
+const { sequelize } = require('../models');
+const redis = require('../config/redis');
+const routes = require('../routes');
+const permissionSyncService = require('../services/PermissionSyncService');
+
+const apply = process.argv.includes('--apply');
+
+async function main() {
+  await sequelize.authenticate();
+
+  const { missing, orphaned } = await permissionSyncService.getDrift(routes);
+
+  console.log(`缺少接口权限的路由: ${missing.length}`);
+  missing.forEach((route) =>
+    console.log(`  ${route.method} ${route.path} [${route.permissions.join(' | ') || '未声明权限'}]`)
+  );
+
+  console.log(`没有对应路由的接口权限: ${orphaned.length}`);
+  orphaned.forEach((permission) =>
+    console.log(
+      `  [${permission.id}] ${permission.code} ${permission.method || '*'} ${permission.path}`
+    )
+  );
+
+  if (!apply) {
+    if (missing.length > 0) {
+      console.log('使用 --apply 参数创建缺少的接口权限');
+    }
+    return;
+  }
+
+  const { created, skipped } = await permissionSyncService.syncMissing(routes);
+  console.log(`已创建接口权限: ${created.length}`);
+  created.forEach((permission) =>
+    console.log(
+      `  [${permission.id}] ${permission.code} ${permission.method} ${permission.path} (父权限: ${permission.parent_id}, 授予角色: ${permission.roles.join(', ') || '无'})`
+    )
+  );
+
+  console.log(`跳过的路由: ${skipped.length}`);
+  skipped.forEach((route) => console.log(`  ${route.method} ${route.path} - ${route.reason}`));
+}
+
+main()
+  .then(() => {
+    process.exitCode = 0;
+  })
+  .catch((error) => {
+    console.error('❌ 权限同步失败:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await sequelize.close();
+    redis.disconnect();
+    // 路由模块加载的定时任务等会保持进程运行，结束后直接退出
+    process.exit();
+  });
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const net = require('net');
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+const apiKeyRepository = require('../repositories/ApiKeyRepository');
+const userRepository = require('../repositories/UserRepository');
+const authorizationService = require('./AuthorizationService');
+const { hasPermission } = require('../utils/permissionMatcher');
+
+// 密钥前缀，便于在日志和代码仓库扫描中识别
+const KEY_PREFIX = 'mak_';
+// 每个用户最多持有的有效密钥数量
+const MAX_KEYS_PER_USER = 20;
+// 最后使用时间的刷新间隔(秒)
+const TOUCH_INTERVAL = 60;
+
+/**
+ * 将IPv4地址转换为整数
+ * @param {String} ip - IPv4地址
+ * @returns {Number}
+ */
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((acc, part) => (acc << 8) + parseInt(part), 0) >>> 0;
+}
+
+/**
+ * 检查IP是否匹配规则（单个IP或IPv4 CIDR网段）
+ * @param {String} ip - 客户端IP
+ * @param {String} rule - IP或CIDR
+ * @returns {Boolean}
+ */
+function matchIp(ip, rule) {
+  const [range, bits] = rule.split('/');
+  if (bits === undefined) {
+    return ip === range;
+  }
+
+  if (!net.isIPv4(ip) || !net.isIPv4(range)) {
+    return false;
+  }
+
+  const mask = parseInt(bits) === 0 ? 0 : (~0 << (32 - parseInt(bits))) >>> 0;
+  return (ipv4ToInt(ip) & mask) === (ipv4ToInt(range) & mask);
+}
+
+class ApiKeyService {
+  /**
+   * 创建API密钥
+   * @param {Number} userId - 所属用户ID
+   * @param {Object} data - { name, permissions, allowed_ips, expires_at }
+   * @returns {Object} 密钥信息（明文密钥仅返回这一次）
+   */
+  async createKey(userId, data) {
+    const { name, permissions, allowed_ips, expires_at } = data;
+
+    const activeCount = await apiKeyRepository.countActiveByUser(userId);
+    if (activeCount >= MAX_KEYS_PER_USER) {
+      throw new Error(`每个用户最多创建${MAX_KEYS_PER_USER}个API密钥`);
+    }
+
+    // 密钥的权限只能是用户自身权限的子集
+    const userCodes = await authorizationService.getPermissionCodes(userId);
+    const invalidCodes = permissions.filter((code) => !hasPermission(userCodes, code));
+    if (invalidCodes.length > 0) {
+      throw new Error(`无权授予以下权限: ${invalidCodes.join(', ')}`);
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await apiKeyRepository.create({
+      user_id: userId,
+      name,
+      prefix: key.slice(0, 12),
+      key_hash: this.hashKey(key),
+      permissions: JSON.stringify([...new Set(permissions)]),
+      allowed_ips: allowed_ips && allowed_ips.length > 0 ? JSON.stringify(allowed_ips) : null,
+      expires_at: expires_at || null
+    });
+
+    logger.info(`创建API密钥 - 用户ID: ${userId}, 密钥ID: ${apiKey.id}, 名称: ${name}`);
+
+    return {
+      ...this.formatKey(apiKey),
+      key
+    };
+  }
+
+  /**
+   * 获取用户的API密钥列表
+   * @param {Number} userId - 用户ID
+   * @returns {Array} API密钥列表
+   */
+  async listKeys(userId) {
+    const keys = await apiKeyRepository.findByUser(userId);
+    return keys.map((key) => this.formatKey(key));
+  }
+
+  /**
+   * 吊销API密钥
+   * @param {Number} userId - 用户ID
+   * @param {Number} id - 密钥ID
+   */
+  async revokeKey(userId, id) {
+    const apiKey = await apiKeyRepository.findById(id);
+    if (!apiKey || apiKey.user_id !== userId) {
+      throw new Error('API密钥不存在');
+    }
+
+    if (apiKey.status === 0) {
+      throw new Error('API密钥已吊销');
+    }
+
+    await apiKeyRepository.updateById(id, { status: 0 });
+
+    logger.info(`吊销API密钥 - 用户ID: ${userId}, 密钥ID: ${id}`);
+  }
+
+  /**
+   * 使用API密钥认证
+   * @param {String} key - 明文密钥
+   * @param {String} clientIp - 客户端IP
+   * @returns {Object} { user, apiKey }
+   */
+  async authenticate(key, clientIp) {
+    const apiKey = await apiKeyRepository.findByHash(this.hashKey(key));
+    if (!apiKey || apiKey.status !== 1) {
+      throw new Error('API密钥无效');
+    }
+
+    if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+      throw new Error('API密钥已过期');
+    }
+
+    const ip = (clientIp || '').replace(/^::ffff:/, '');
+    const allowedIps = JSON.parse(apiKey.allowed_ips || '[]');
+    if (allowedIps.length > 0 && !allowedIps.some((rule) => matchIp(ip, rule))) {
+      logger.warn(`API密钥来自未授权IP - 密钥ID: ${apiKey.id}, IP: ${ip}`);
+      throw new Error('当前IP不允许使用该API密钥');
+    }
+
+    const user = await userRepository.findById(apiKey.user_id);
+    if (!user || user.status !== 1) {
+      throw new Error('用户不存在或已被禁用');
+    }
+
+    await this.touchKey(apiKey.id, ip);
+
+    return {
+      user,
+      apiKey: this.formatKey(apiKey)
+    };
+  }
+
+  /**
+   * 更新密钥最后使用时间（限频写入）
+   * @param {Number} id - 密钥ID
+   * @param {String} ip - 客户端IP
+   */
+  async touchKey(id, ip) {
+    const fresh = await redis.set(`api_key_touch:${id}`, '1', 'EX', TOUCH_INTERVAL, 'NX');
+    if (!fresh) {
+      return;
+    }
+
+    await apiKeyRepository.updateById(id, {
+      last_used_at: new Date(),
+      last_used_ip: ip
+    });
+  }
+
+  /**
+   * 格式化密钥信息（解析JSON字段，去除哈希）
+   * @param {Object} apiKey - API密钥记录
+   * @returns {Object} 密钥信息
+   */
+  formatKey(apiKey) {
+    const { key_hash, ...data } = apiKey.toJSON();
+    return {
+      ...data,
+      permissions: JSON.parse(data.permissions || '[]'),
+      allowed_ips: JSON.parse(data.allowed_ips || '[]')
+    };
+  }
+
+  /**
+   * 计算密钥哈希
+   * @param {String} key - 明文密钥
+   * @returns {String} SHA256哈希
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+}
+
+// 导出实例
+module.exports = new ApiKeyService();
@@ -1,29 +1,58 @@
-const { generateToken } = require('../config/jwt');
 const logger = require('../utils/logger');
 const userRepository = require('../repositories/UserRepository');
 const emailService = require('./EmailService');
+const tokenService = require('./TokenService');
+const sessionService = require('./SessionService');
+const mfaService = require('./MfaService');
+const loginGuardService = require('./LoginGuardService');
+const loginLogService = require('./LoginLogService');
+const passwordPolicyService = require('./PasswordPolicyService');
+const impersonationService = require('./ImpersonationService');
+const captchaService = require('./CaptchaService');
 const redis = require('../config/redis');
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 
+// 快捷登录链接有效期(秒)
+const MAGIC_LINK_TTL = 15 * 60;
+
+// 验证码最大尝试次数及计数窗口(秒)，重新获取验证码不会重置计数
+const CODE_MAX_ATTEMPTS = 5;
+const CODE_ATTEMPT_WINDOW = 600;
+
+// 是否开启注册审核：开启后邮箱验证通过的账户需管理员审核后才能登录
+const REGISTRATION_APPROVAL = process.env.REGISTRATION_APPROVAL === 'true';
+
 class AuthService {
   /**
    * 用户登录
    * @param {String} email - 邮箱
    * @param {String} password - 密码
-   * @param {String} clientIp - 客户端IP
+   * @param {Object} client - 客户端信息 { ip, userAgent }
    * @returns {Object} 登录结果
    */
-  async login(email, password, clientIp) {
+  async login(email, password, client) {
     // 查找用户
     const user = await userRepository.findByEmail(email);
     if (!user) {
+      await loginLogService.recordFailure(null, email, '用户不存在', client);
+      await captchaService.recordLoginFailure(email, client.ip);
       throw new Error('用户名或密码错误');
     }
 
     // 检查用户状态
-    if (user.status === 0) {
-      throw new Error('用户已被禁用');
+    if (user.status !== 1) {
+      const reason = this.getInactiveReason(user);
+      await loginLogService.recordFailure(user, email, reason, client);
+      throw new Error(reason);
+    }
+
+    // 检查账户是否因多次失败被锁定
+    try {
+      await loginGuardService.assertNotLocked(user.id);
+    } catch (error) {
+      await loginLogService.recordFailure(user, email, '账户已锁定', client);
+      throw error;
     }
 
     // 验证密码
@@ -32,34 +61,302 @@ class AuthService {
       user.password
     );
     if (!isValidPassword) {
+      await loginLogService.recordFailure(user, email, '密码错误', client);
+      await captchaService.recordLoginFailure(email, client.ip);
+      await loginGuardService.recordFailure(user, client.ip);
       throw new Error('用户名或密码错误');
     }
 
+    return await this.continueLogin(user, client);
+  }
+
+  /**
+   * 第一步身份验证（密码或快捷登录链接）通过后继续登录流程
+   * 需要两步验证时返回临时令牌，否则直接完成登录
+   * @param {Object} user - 用户信息
+   * @param {Object} client - 客户端信息 { ip, userAgent }
+   * @returns {Object} 登录结果
+   */
+  async continueLogin(user, client) {
+    // 已启用两步验证，需继续提交验证码
+    if (user.mfa_enabled === 1) {
+      return {
+        mfa_required: true,
+        mfa_token: tokenService.generatePendingToken(user, 'mfa')
+      };
+    }
+
+    // 角色要求两步验证但尚未启用，需先完成绑定
+    if (await mfaService.isMfaRequired(user.id)) {
+      return {
+        mfa_setup_required: true,
+        mfa_token: tokenService.generatePendingToken(user, 'mfa_setup', '15m')
+      };
+    }
+
+    return await this.completeLogin(user, client);
+  }
+
+  /**
+   * 发送快捷登录链接
+   * 无论邮箱是否存在或是否开启快捷登录都返回相同结果，避免泄露账户信息
+   * @param {String} email - 邮箱
+   */
+  async sendMagicLink(email) {
+    const user = await userRepository.findByEmail(email);
+    if (!user || user.status !== 1 || user.magic_link_enabled !== 1) {
+      logger.warn(`快捷登录请求的邮箱不存在或未开启快捷登录: ${email}`);
+      return;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    // 登录链接15分钟内有效，仅存储哈希
+    await redis.setex(`magic_link:${tokenService.hashToken(token)}`, MAGIC_LINK_TTL, user.id);
+
+    // 异步发送邮件，保证响应时间与邮箱不存在时一致
+    const loginUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/magic-login?token=${token}`;
+    emailService
+      .sendMagicLinkEmail(email, user.username, loginUrl, MAGIC_LINK_TTL / 60)
+      .catch((error) => logger.error('发送快捷登录邮件失败:', error));
+  }
+
+  /**
+   * 使用快捷登录链接登录
+   * @param {String} token - 链接中的令牌
+   * @param {Object} client - 客户端信息 { ip, userAgent }
+   * @returns {Object} 登录结果（与密码登录相同）
+   */
+  async consumeMagicLink(token, client) {
+    const linkKey = `magic_link:${tokenService.hashToken(token)}`;
+    const userId = await redis.get(linkKey);
+
+    // 链接只能使用一次，删除成功者才能继续
+    if (!userId || !(await redis.del(linkKey))) {
+      throw new Error('登录链接已失效，请重新获取');
+    }
+
+    const user = await userRepository.findById(userId);
+    if (!user || user.status !== 1 || user.magic_link_enabled !== 1) {
+      throw new Error('登录链接已失效，请重新获取');
+    }
+
+    try {
+      await loginGuardService.assertNotLocked(user.id);
+    } catch (error) {
+      await loginLogService.recordFailure(user, user.email, '账户已锁定', client);
+      throw error;
+    }
+
+    return await this.continueLogin(user, client);
+  }
+
+  /**
+   * 设置是否开启快捷登录
+   * @param {Number} userId - 用户ID
+   * @param {Boolean} enabled - 是否开启
+   */
+  async setMagicLinkEnabled(userId, enabled) {
+    await userRepository.updateById(userId, { magic_link_enabled: enabled ? 1 : 0 });
+  }
+
+  /**
+   * 完成登录：创建会话、签发令牌并返回用户信息
+   * @param {Object} user - 用户信息
+   * @param {Object} client - 客户端信息 { ip, userAgent }
+   * @returns {Object} 登录结果
+   */
+  async completeLogin(user, client) {
+    // 密码已过期，需先修改密码才能完成登录
+    if (passwordPolicyService.isExpired(user)) {
+      return {
+        password_expired: true,
+        password_token: tokenService.generatePendingToken(user, 'password_change', '15m')
+      };
+    }
+
+    await loginGuardService.recordSuccess(user.id);
+    await captchaService.clearLoginFailures(user.email);
+    await loginLogService.recordSuccess(user, client);
+
     // 更新最后登录时间和IP
-    await userRepository.updateLastLogin(user.id, clientIp);
+    await userRepository.updateLastLogin(user.id, client.ip);
 
-    // 生成JWT令牌
-    const token = generateToken({
-      id: user.id,
-      username: user.username,
-      email: user.email
-    });
+    // 创建登录会话并签发令牌
+    const sessionId = await sessionService.createSession(user.id, client);
+    const tokens = await tokenService.issueTokens(user, sessionId);
 
     // 获取用户角色和权限
     const roles = await userRepository.getUserRoles(user.id);
     const permissions = await userRepository.getUserPermissions(user.id);
 
-    // 获取用户信息（不包含密码）
+    // 获取用户信息（不包含敏感字段）
     const userInfo = await userRepository.findUserById(user.id);
 
     return {
       user: userInfo,
-      token,
+      ...tokens,
       roles,
       permissions
     };
   }
 
+  /**
+   * 两步验证登录
+   * @param {String} mfaToken - 密码验证通过后获得的临时令牌
+   * @param {Object} credentials - { code, recovery_code } 二选一
+   * @param {Object} client - 客户端信息 { ip, userAgent }
+   * @returns {Object} 登录结果
+   */
+  async loginWithMfa(mfaToken, credentials, client) {
+    const payload = await tokenService.verifyPendingToken(mfaToken, 'mfa');
+
+    const user = await userRepository.findById(payload.id);
+    if (!user || user.status !== 1) {
+      throw new Error('用户不存在或已被禁用');
+    }
+
+    await loginGuardService.assertNotLocked(user.id);
+
+    const passed = credentials.recovery_code
+      ? await mfaService.useRecoveryCode(user, credentials.recovery_code)
+      : await mfaService.verifyCode(user, credentials.code);
+
+    if (!passed) {
+      await loginLogService.recordFailure(user, user.email, '两步验证失败', client);
+      await loginGuardService.recordFailure(user, client.ip);
+
+      // 同一临时令牌最多尝试5次
+      const attemptsKey = `mfa_attempts:${payload.jti}`;
+      const attempts = await redis.incr(attemptsKey);
+      await redis.expire(attemptsKey, 600);
+      if (attempts >= 5) {
+        await tokenService.revokeToken(payload);
+        throw new Error('验证失败次数过多，请重新登录');
+      }
+      throw new Error('验证码错误');
+    }
+
+    // 临时令牌只能使用一次
+    await tokenService.revokeToken(payload);
+
+    return await this.completeLogin(user, client);
+  }
+
+  /**
+   * 登录过程中绑定两步验证：获取二维码
+   * @param {String} mfaToken - 临时令牌
+   * @returns {Object} 密钥和二维码
+   */
+  async setupMfaForLogin(mfaToken) {
+    const payload = await tokenService.verifyPendingToken(mfaToken, 'mfa_setup');
+    return await mfaService.setup(payload.id);
+  }
+
+  /**
+   * 登录过程中绑定两步验证：确认绑定并完成登录
+   * @param {String} mfaToken - 临时令牌
+   * @param {String} code - 验证码
+   * @param {Object} client - 客户端信息 { ip, userAgent }
+   * @returns {Object} 登录结果及恢复码
+   */
+  async enableMfaForLogin(mfaToken, code, client) {
+    const payload = await tokenService.verifyPendingToken(mfaToken, 'mfa_setup');
+
+    const recoveryCodes = await mfaService.enable(payload.id, code);
+    await tokenService.revokeToken(payload);
+
+    const user = await userRepository.findById(payload.id);
+    const result = await this.completeLogin(user, client);
+
+    return {
+      ...result,
+      recovery_codes: recoveryCodes
+    };
+  }
+
+  /**
+   * 修改已过期的密码并完成登录
+   * @param {String} passwordToken - 登录时获得的临时令牌
+   * @param {String} newPassword - 新密码
+   * @param {Object} client - 客户端信息 { ip, userAgent }
+   * @returns {Object} 登录结果
+   */
+  async changeExpiredPassword(passwordToken, newPassword, client) {
+    const payload = await tokenService.verifyPendingToken(passwordToken, 'password_change');
+
+    const user = await userRepository.findById(payload.id);
+    if (!user || user.status !== 1) {
+      throw new Error('用户不存在或已被禁用');
+    }
+
+    await passwordPolicyService.changePassword(user, newPassword);
+    await tokenService.revokeToken(payload);
+
+    // 使用新密码的用户信息完成登录
+    const updatedUser = await userRepository.findById(user.id);
+    return await this.completeLogin(updatedUser, client);
+  }
+
+  /**
+   * 刷新访问令牌
+   * @param {String} refreshToken - 刷新令牌
+   * @param {String} clientIp - 客户端IP
+   * @returns {Object} 新的令牌信息
+   */
+  async refreshToken(refreshToken, clientIp) {
+    return await tokenService.refresh(refreshToken, clientIp);
+  }
+
+  /**
+   * 退出登录
+   * @param {Object} tokenPayload - 当前访问令牌载荷
+   * @param {Object} client - 客户端信息 { ip, userAgent }
+   */
+  async logout(tokenPayload, client) {
+    // 模拟登录状态下退出即结束模拟
+    if (tokenPayload.impersonator_id) {
+      await impersonationService.stop(tokenPayload, client);
+      return;
+    }
+
+    await tokenService.revokeToken(tokenPayload);
+
+    // 同时销毁本次登录会话及其刷新令牌
+    if (tokenPayload.sid) {
+      await sessionService.destroySession(tokenPayload.sid);
+    }
+  }
+
+  /**
+   * 获取当前用户的登录会话列表
+   * @param {Number} userId - 用户ID
+   * @param {String} currentSessionId - 当前会话ID
+   * @returns {Array} 会话列表
+   */
+  async getSessions(userId, currentSessionId) {
+    const sessions = await sessionService.listSessions(userId);
+
+    return sessions.map((session) => ({
+      ...session,
+      current: session.id === currentSessionId
+    }));
+  }
+
+  /**
+   * 注销当前用户的指定会话
+   * @param {Number} userId - 用户ID
+   * @param {String} sessionId - 会话ID
+   */
+  async revokeSession(userId, sessionId) {
+    const session = await sessionService.getSession(sessionId);
+    if (!session || session.user_id !== userId) {
+      throw new Error('会话不存在');
+    }
+
+    await sessionService.destroySession(sessionId);
+  }
+
   /**
    * 获取当前用户信息
    * @param {Number} userId - 用户ID
@@ -103,6 +400,9 @@ class AuthService {
       throw new Error('邮箱已存在');
     }
 
+    // 检查密码是否符合安全策略
+    passwordPolicyService.validate(password, { username, email });
+
     // 生成验证码
     const verificationCode = this.generateVerificationCode();
     
@@ -135,9 +435,10 @@ class AuthService {
    * 验证邮箱
    * @param {String} email - 邮箱
    * @param {String} code - 验证码
+   * @param {Object} client - 客户端信息 { ip, userAgent }
    * @returns {Object} 验证结果
    */
-  async verifyEmail(email, code) {
+  async verifyEmail(email, code, client) {
     const tempUserKey = `temp_user:${email}`;
     const tempUserDataStr = await redis.get(tempUserKey);
     
@@ -151,35 +452,43 @@ class AuthService {
       throw new Error('验证码错误');
     }
 
-    // 创建用户
+    // 创建用户（开启注册审核时为待审核状态）
     const user = await userRepository.createUser({
       username: tempUserData.username,
       email: tempUserData.email,
       password: tempUserData.password,
       real_name: tempUserData.real_name,
-      phone: tempUserData.phone
+      phone: tempUserData.phone,
+      status: REGISTRATION_APPROVAL ? 2 : 1
     });
 
     // 删除临时数据
     await redis.del(tempUserKey);
 
+    if (REGISTRATION_APPROVAL) {
+      logger.info(`新注册账户等待审核 - 用户ID: ${user.id}, 邮箱: ${email}`);
+
+      return {
+        user: await userRepository.findUserById(user.id),
+        pending_approval: true,
+        message: '邮箱验证成功，账户正在等待管理员审核，审核结果将通过邮件通知您'
+      };
+    }
+
     // 发送欢迎邮件
     const loginUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/login`;
     await emailService.sendWelcomeEmail(email, tempUserData.username, loginUrl);
 
-    // 生成JWT令牌
-    const token = generateToken({
-      id: user.id,
-      username: user.username,
-      email: user.email
-    });
+    // 创建登录会话并签发令牌
+    const sessionId = await sessionService.createSession(user.id, client);
+    const tokens = await tokenService.issueTokens(user, sessionId);
 
     // 获取用户信息（不包含密码）
     const userInfo = await userRepository.findUserById(user.id);
 
     return {
       user: userInfo,
-      token,
+      ...tokens,
       message: '邮箱验证成功，注册完成'
     };
   }
@@ -210,6 +519,196 @@ class AuthService {
     await emailService.sendVerificationEmail(email, tempUserData.username, newVerificationCode, verificationUrl);
   }
 
+  /**
+   * 忘记密码，发送重置验证码
+   * 无论邮箱是否存在都返回相同结果，避免泄露用户是否注册
+   * @param {String} email - 邮箱
+   */
+  async forgotPassword(email) {
+    const user = await userRepository.findByEmail(email);
+    if (!user || user.status !== 1) {
+      logger.warn(`密码重置请求的邮箱不存在或已禁用: ${email}`);
+      return;
+    }
+
+    const resetCode = this.generateVerificationCode();
+
+    // 重置码10分钟内有效
+    const resetKey = `password_reset:${email}`;
+    await redis.setex(
+      resetKey,
+      600,
+      JSON.stringify({ userId: user.id, resetCode })
+    );
+
+    // 异步发送邮件，保证响应时间与邮箱不存在时一致
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?email=${encodeURIComponent(email)}&code=${resetCode}`;
+    emailService
+      .sendPasswordResetEmail(email, user.username, resetCode, resetUrl)
+      .catch((error) => logger.error('发送密码重置邮件失败:', error));
+  }
+
+  /**
+   * 通过重置码重置密码
+   * @param {String} email - 邮箱
+   * @param {String} code - 重置码
+   * @param {String} newPassword - 新密码
+   */
+  async resetPassword(email, code, newPassword) {
+    const resetKey = `password_reset:${email}`;
+    const resetDataStr = await redis.get(resetKey);
+
+    if (!resetDataStr) {
+      throw new Error('验证码已过期或无效');
+    }
+
+    const resetData = JSON.parse(resetDataStr);
+
+    // 超过最大尝试次数后作废重置码，防止暴力猜测
+    const attemptsKey = `password_reset_attempts:${email}`;
+    if ((await this.countCodeAttempt(attemptsKey)) > CODE_MAX_ATTEMPTS) {
+      await redis.del(resetKey);
+      throw new Error('验证码错误次数过多，请稍后重新获取');
+    }
+
+    if (resetData.resetCode !== code) {
+      throw new Error('验证码错误');
+    }
+
+    const user = await userRepository.findById(resetData.userId);
+    if (!user) {
+      throw new Error('验证码已过期或无效');
+    }
+
+    // 先检查新密码，不符合策略时保留重置码以便重新提交
+    await passwordPolicyService.assertAcceptable(user, newPassword);
+
+    // 重置码只能使用一次，删除成功者才能继续
+    const deleted = await redis.del(resetKey);
+    if (!deleted) {
+      throw new Error('验证码已过期或无效');
+    }
+    await redis.del(attemptsKey);
+
+    await passwordPolicyService.savePassword(user, newPassword);
+
+    // 密码重置后吊销所有已签发的令牌
+    await tokenService.revokeUserTokens(resetData.userId);
+
+    logger.info(`用户通过邮箱重置密码 - 用户ID: ${resetData.userId}`);
+  }
+
+  /**
+   * 申请更换邮箱，向新邮箱发送验证码
+   * @param {Number} userId - 用户ID
+   * @param {String} newEmail - 新邮箱
+   * @param {String} password - 当前密码
+   */
+  async requestEmailChange(userId, newEmail, password) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('用户不存在');
+    }
+
+    const isValidPassword = await userRepository.verifyPassword(password, user.password);
+    if (!isValidPassword) {
+      throw new Error('密码错误');
+    }
+
+    if (newEmail === user.email) {
+      throw new Error('新邮箱不能与当前邮箱相同');
+    }
+
+    const existingUserByEmail = await userRepository.findByEmail(newEmail);
+    if (existingUserByEmail) {
+      throw new Error('邮箱已存在');
+    }
+
+    const verificationCode = this.generateVerificationCode();
+
+    // 待确认的新邮箱和验证码存储到Redis（10分钟过期）
+    const changeKey = `email_change:${userId}`;
+    await redis.setex(
+      changeKey,
+      600,
+      JSON.stringify({ newEmail, verificationCode })
+    );
+
+    await emailService.sendEmailChangeCode(newEmail, user.username, verificationCode);
+  }
+
+  /**
+   * 确认更换邮箱
+   * @param {Number} userId - 用户ID
+   * @param {String} code - 新邮箱收到的验证码
+   * @returns {Object} 更新后的用户信息
+   */
+  async confirmEmailChange(userId, code) {
+    const changeKey = `email_change:${userId}`;
+    const changeDataStr = await redis.get(changeKey);
+
+    if (!changeDataStr) {
+      throw new Error('验证码已过期或无效');
+    }
+
+    const changeData = JSON.parse(changeDataStr);
+
+    // 超过最大尝试次数后作废验证码
+    const attemptsKey = `email_change_attempts:${userId}`;
+    if ((await this.countCodeAttempt(attemptsKey)) > CODE_MAX_ATTEMPTS) {
+      await redis.del(changeKey);
+      throw new Error('验证码错误次数过多，请稍后重新获取');
+    }
+
+    if (changeData.verificationCode !== code) {
+      throw new Error('验证码错误');
+    }
+
+    const deleted = await redis.del(changeKey);
+    if (!deleted) {
+      throw new Error('验证码已过期或无效');
+    }
+    await redis.del(attemptsKey);
+
+    // 确认期间邮箱可能已被其他账户占用
+    const existingUserByEmail = await userRepository.findByEmail(changeData.newEmail);
+    if (existingUserByEmail) {
+      throw new Error('邮箱已存在');
+    }
+
+    const user = await userRepository.findById(userId);
+    const oldEmail = user.email;
+
+    await userRepository.updateById(userId, { email: changeData.newEmail });
+
+    // 已发送到原邮箱的密码重置码和邮箱验证码随之作废
+    await redis.del(`password_reset:${oldEmail}`, `temp_user:${oldEmail}`);
+
+    logger.info(`用户更换邮箱 - 用户ID: ${userId}, 原邮箱: ${oldEmail}, 新邮箱: ${changeData.newEmail}`);
+
+    // 通知原邮箱
+    emailService
+      .sendEmailChangedNotice(oldEmail, user.username, changeData.newEmail)
+      .catch((error) => logger.error('发送邮箱更换通知失败:', error));
+
+    return await userRepository.findUserById(userId);
+  }
+
+  /**
+   * 获取账户不可登录的原因
+   * @param {Object} user - 用户信息
+   * @returns {String} 原因
+   */
+  getInactiveReason(user) {
+    if (user.status === 2) {
+      return '账户正在等待管理员审核';
+    }
+    if (user.status === 3) {
+      return '注册申请未通过审核';
+    }
+    return '用户已被禁用';
+  }
+
   /**
    * 生成6位数字验证码
    * @returns {String} 验证码
@@ -218,6 +717,22 @@ class AuthService {
     return Math.floor(100000 + Math.random() * 900000).toString();
   }
 
+  /**
+   * 原子地累加验证码尝试次数，计数在首次尝试后 CODE_ATTEMPT_WINDOW 秒内有效
+   * @param {String} key - 计数键
+   * @returns {Number} 累加后的尝试次数
+   */
+  async countCodeAttempt(key) {
+    const [[, attempts], [, ttl]] = await redis.multi().incr(key).ttl(key).exec();
+
+    // 新建的计数键没有过期时间
+    if (ttl === -1) {
+      await redis.expire(key, CODE_ATTEMPT_WINDOW);
+    }
+
+    return attempts;
+  }
+
   /**
    * 修改密码
    * @param {Number} userId - 用户ID
@@ -240,8 +755,8 @@ class AuthService {
       throw new Error('旧密码错误');
     }
 
-    // 更新密码
-    await userRepository.updatePassword(userId, newPassword);
+    // 按密码策略更新密码
+    await passwordPolicyService.changePassword(user, newPassword);
   }
 }
 
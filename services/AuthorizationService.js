@@ -0,0 +1,229 @@
+const cache = require('../utils/cache');
+const logger = require('../utils/logger');
+const userRepository = require('../repositories/UserRepository');
+const roleRepository = require('../repositories/RoleRepository');
+const permissionRepository = require('../repositories/PermissionRepository');
+const { hasPermission, evaluateExpression } = require('../utils/permissionMatcher');
+
+// 用户有效角色和权限代码的缓存时间(秒)，变更时会主动失效
+const AUTHZ_CACHE_TTL = parseInt(process.env.AUTHZ_CACHE_TTL) || 3600;
+
+// 接口权限映射的缓存键，权限变更时会主动失效
+const API_PERMISSIONS_CACHE_KEY = 'api_permissions';
+
+// 为用户分配角色（含邀请、审核注册）需要的权限
+const ASSIGN_ROLES_PERMISSION = 'user:update AND role:list';
+
+class AuthorizationService {
+  /**
+   * 获取用户有效的角色和权限代码（优先读取缓存）
+   * @param {Number} userId - 用户ID
+   * @returns {Object} { roles, permissions } 代码数组
+   */
+  async getUserAuthorization(userId) {
+    const cacheKey = this.getCacheKey(userId);
+
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const roles = await userRepository.getUserRoles(userId);
+    const permissions = await userRepository.getUserPermissions(userId);
+
+    const authorization = {
+      roles: roles.map((role) => role.code),
+      permissions: permissions.map((permission) => permission.code)
+    };
+
+    // 缓存写入失败不影响鉴权，下次请求重新查询
+    try {
+      await cache.set(cacheKey, authorization, AUTHZ_CACHE_TTL);
+    } catch (error) {
+      logger.error('缓存用户权限失败:', error);
+    }
+
+    return authorization;
+  }
+
+  /**
+   * 获取用户有效的角色代码
+   * @param {Number} userId - 用户ID
+   * @returns {Array} 角色代码数组
+   */
+  async getRoleCodes(userId) {
+    const { roles } = await this.getUserAuthorization(userId);
+    return roles;
+  }
+
+  /**
+   * 获取用户有效的权限代码
+   * @param {Number} userId - 用户ID
+   * @returns {Array} 权限代码数组
+   */
+  async getPermissionCodes(userId) {
+    const { permissions } = await this.getUserAuthorization(userId);
+    return permissions;
+  }
+
+  /**
+   * 判断用户是否拥有指定权限（支持通配符授权和权限表达式）
+   * @param {Number|Object} user - 用户ID或用户对象
+   * @param {String} code - 权限代码或表达式，如 `user:update AND role:list`
+   * @returns {Boolean} 是否拥有权限
+   */
+  async can(user, code) {
+    const userId = typeof user === 'object' ? user.id : user;
+    const permissionCodes = await this.getPermissionCodes(userId);
+    return evaluateExpression(code, (required) => hasPermission(permissionCodes, required));
+  }
+
+  /**
+   * 检查操作人可以分配这些角色：需拥有分配用户角色的权限，
+   * 且只能分配自己拥有的角色或其下级角色（超级管理员不受限制）
+   * @param {Number} operatorId - 操作人ID
+   * @param {Array} roleIds - 角色ID列表
+   * @param {Object} apiKey - 通过API密钥调用时的密钥信息
+   */
+  async assertCanAssignRoles(operatorId, roleIds, apiKey = null) {
+    if (roleIds.length === 0) {
+      return;
+    }
+
+    const allowed =
+      (await this.can(operatorId, ASSIGN_ROLES_PERMISSION)) &&
+      (!apiKey ||
+        evaluateExpression(ASSIGN_ROLES_PERMISSION, (code) =>
+          hasPermission(apiKey.permissions, code)
+        ));
+    if (!allowed) {
+      throw new Error('没有为用户分配角色的权限');
+    }
+
+    const roleCodes = await this.getRoleCodes(operatorId);
+    if (roleCodes.includes('super_admin')) {
+      return;
+    }
+
+    const ownRoles = await userRepository.getUserRoles(operatorId);
+    const ownRoleIds = ownRoles.map((role) => role.id);
+    const descendantIds = ownRoleIds.length > 0
+      ? await roleRepository.getDescendantIds(ownRoleIds)
+      : [];
+    const assignable = new Set([...ownRoleIds, ...descendantIds]);
+
+    const forbidden = roleIds.filter((roleId) => !assignable.has(parseInt(roleId)));
+    if (forbidden.length > 0) {
+      throw new Error(`无权分配角色ID ${forbidden.join(', ')}，只能分配自己拥有的角色或其下级角色`);
+    }
+  }
+
+  /**
+   * 获取接口权限映射（优先读取缓存）
+   * @returns {Array} [{ code, path, method }]
+   */
+  async getApiPermissions() {
+    const cached = await cache.get(API_PERMISSIONS_CACHE_KEY);
+    if (cached) {
+      return cached;
+    }
+
+    const permissions = await permissionRepository.findApiPermissions();
+    const mappings = permissions.map((permission) => ({
+      code: permission.code,
+      path: permission.path,
+      method: permission.method ? permission.method.toUpperCase() : null
+    }));
+
+    try {
+      await cache.set(API_PERMISSIONS_CACHE_KEY, mappings, AUTHZ_CACHE_TTL);
+    } catch (error) {
+      logger.error('缓存接口权限失败:', error);
+    }
+
+    return mappings;
+  }
+
+  /**
+   * 查找映射到指定路由的权限代码
+   * @param {String} path - 路由模板，如 `/api/users/:id`
+   * @param {String} method - HTTP方法
+   * @returns {Array} 权限代码数组，未配置时为空
+   */
+  async getRoutePermissionCodes(path, method) {
+    // HEAD 请求按 GET 处理；未设置方法的权限匹配该路径的所有方法
+    const requestMethod = method === 'HEAD' ? 'GET' : method;
+    const mappings = await this.getApiPermissions();
+
+    return mappings
+      .filter(
+        (mapping) =>
+          mapping.path === path && (!mapping.method || mapping.method === requestMethod)
+      )
+      .map((mapping) => mapping.code);
+  }
+
+  /**
+   * 使接口权限映射缓存失效
+   */
+  async invalidateApiPermissions() {
+    await cache.del(API_PERMISSIONS_CACHE_KEY);
+    logger.debug('接口权限映射缓存已失效');
+  }
+
+  /**
+   * 使指定用户的权限缓存失效
+   * @param {Number|Array} userIds - 用户ID或ID数组
+   */
+  async invalidateUsers(userIds) {
+    const keys = [].concat(userIds).map((userId) => this.getCacheKey(userId));
+    if (keys.length === 0) {
+      return;
+    }
+
+    await cache.del(keys);
+    logger.debug(`用户权限缓存已失效 - 用户数: ${keys.length}`);
+  }
+
+  /**
+   * 使拥有指定角色及其下级角色的用户权限缓存失效
+   * @param {Number|Array} roleIds - 角色ID或ID数组
+   */
+  async invalidateRoles(roleIds) {
+    if ([].concat(roleIds).length === 0) {
+      return;
+    }
+
+    // 下级角色继承了该角色的权限，同样受影响
+    const descendantIds = await roleRepository.getDescendantIds(roleIds);
+    const userIds = await roleRepository.getUserIds([].concat(roleIds, descendantIds));
+    await this.invalidateUsers(userIds);
+  }
+
+  /**
+   * 使拥有指定权限（或通过上级权限覆盖而获得该权限）的用户权限缓存失效
+   * @param {Number|Array} permissionIds - 权限ID或ID数组
+   */
+  async invalidatePermissions(permissionIds) {
+    const ids = new Set([].concat(permissionIds).map((id) => parseInt(id)));
+    for (const id of Array.from(ids)) {
+      const ancestorIds = await permissionRepository.getAncestorIds(id);
+      ancestorIds.forEach((ancestorId) => ids.add(ancestorId));
+    }
+
+    const roleIds = await permissionRepository.getRoleIds(Array.from(ids));
+    await this.invalidateRoles(roleIds);
+  }
+
+  /**
+   * 获取用户权限缓存键
+   * @param {Number} userId - 用户ID
+   * @returns {String} 缓存键
+   */
+  getCacheKey(userId) {
+    return `user_authz:${userId}`;
+  }
+}
+
+// 导出实例
+module.exports = new AuthorizationService();
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const redis = require('../config/redis');
+const imageUtil = require('../utils/image');
+
+// 去除易混淆字符（0/O、1/I/l 等）
+const CHARSET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789';
+
+const captchaConfig = {
+  length: 4,
+  width: 120,
+  height: 40,
+  ttl: 5 * 60, // 验证码有效期(秒)
+  loginThreshold: parseInt(process.env.CAPTCHA_LOGIN_THRESHOLD) || 3, // 登录失败多少次后要求验证码
+  loginFailureWindow: 15 * 60 // 登录失败计数窗口(秒)
+};
+
+/**
+ * 生成指定范围内的随机整数
+ * @param {Number} min - 最小值
+ * @param {Number} max - 最大值
+ * @returns {Number}
+ */
+function randomInt(min, max) {
+  return crypto.randomInt(min, max + 1);
+}
+
+/**
+ * 生成随机颜色
+ * @param {Number} min - 颜色分量最小值
+ * @param {Number} max - 颜色分量最大值
+ * @returns {String} rgb颜色
+ */
+function randomColor(min, max) {
+  return `rgb(${randomInt(min, max)},${randomInt(min, max)},${randomInt(min, max)})`;
+}
+
+class CaptchaService {
+  /**
+   * 生成图形验证码
+   * @returns {Object} { captcha_id, image, expires_in }
+   */
+  async generate() {
+    let text = '';
+    for (let i = 0; i < captchaConfig.length; i++) {
+      text += CHARSET[randomInt(0, CHARSET.length - 1)];
+    }
+
+    const png = await imageUtil.convertFormat(Buffer.from(this.renderSvg(text)), 'png');
+
+    const captchaId = crypto.randomUUID();
+    await redis.setex(`captcha:${captchaId}`, captchaConfig.ttl, text.toLowerCase());
+
+    return {
+      captcha_id: captchaId,
+      image: `data:image/png;base64,${png.toString('base64')}`,
+      expires_in: captchaConfig.ttl
+    };
+  }
+
+  /**
+   * 校验图形验证码（无论成功与否验证码都立即作废）
+   * @param {String} captchaId - 验证码ID
+   * @param {String} code - 用户输入
+   * @returns {Boolean} 是否通过
+   */
+  async verify(captchaId, code) {
+    if (!captchaId || !code) {
+      return false;
+    }
+
+    const key = `captcha:${captchaId}`;
+    const answer = await redis.get(key);
+    if (!answer || !(await redis.del(key))) {
+      return false;
+    }
+
+    return answer === String(code).trim().toLowerCase();
+  }
+
+  /**
+   * 记录一次登录失败（按邮箱和IP分别计数）
+   * @param {String} email - 登录邮箱
+   * @param {String} ip - 客户端IP
+   */
+  async recordLoginFailure(email, ip) {
+    const pipeline = redis.pipeline();
+    for (const key of [`captcha_login_failures:email:${email}`, `captcha_login_failures:ip:${ip}`]) {
+      pipeline.incr(key);
+      pipeline.expire(key, captchaConfig.loginFailureWindow);
+    }
+    await pipeline.exec();
+  }
+
+  /**
+   * 登录成功后清除该邮箱的失败计数
+   * @param {String} email - 登录邮箱
+   */
+  async clearLoginFailures(email) {
+    await redis.del(`captcha_login_failures:email:${email}`);
+  }
+
+  /**
+   * 判断本次登录是否需要图形验证码
+   * @param {String} email - 登录邮箱
+   * @param {String} ip - 客户端IP
+   * @returns {Boolean}
+   */
+  async isRequiredForLogin(email, ip) {
+    const [emailFailures, ipFailures] = await redis.mget(
+      `captcha_login_failures:email:${email}`,
+      `captcha_login_failures:ip:${ip}`
+    );
+
+    return (
+      (parseInt(emailFailures) || 0) >= captchaConfig.loginThreshold ||
+      (parseInt(ipFailures) || 0) >= captchaConfig.loginThreshold
+    );
+  }
+
+  /**
+   * 绘制验证码SVG（字符随机旋转偏移，并添加干扰线和噪点）
+   * @param {String} text - 验证码文本
+   * @returns {String} SVG内容
+   */
+  renderSvg(text) {
+    const { width, height } = captchaConfig;
+    const parts = [];
+
+    // 干扰线
+    for (let i = 0; i < 5; i++) {
+      parts.push(
+        `<line x1="${randomInt(0, width)}" y1="${randomInt(0, height)}" x2="${randomInt(0, width)}" y2="${randomInt(0, height)}" stroke="${randomColor(120, 200)}" stroke-width="${randomInt(1, 2)}"/>`
+      );
+    }
+
+    // 噪点
+    for (let i = 0; i < 30; i++) {
+      parts.push(
+        `<circle cx="${randomInt(0, width)}" cy="${randomInt(0, height)}" r="1" fill="${randomColor(100, 220)}"/>`
+      );
+    }
+
+    // 字符
+    const step = width / (text.length + 1);
+    [...text].forEach((char, i) => {
+      const x = Math.round(step * (i + 1) + randomInt(-4, 4));
+      const y = Math.round(height / 2 + randomInt(-3, 5));
+      parts.push(
+        `<text x="${x}" y="${y}" font-size="${randomInt(24, 30)}" font-family="sans-serif" font-weight="bold" fill="${randomColor(20, 110)}" text-anchor="middle" dominant-baseline="middle" transform="rotate(${randomInt(-25, 25)} ${x} ${y})">${char}</text>`
+      );
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="100%" height="100%" fill="${randomColor(230, 250)}"/>${parts.join('')}</svg>`;
+  }
+}
+
+// 导出实例
+module.exports = new CaptchaService();
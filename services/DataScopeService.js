@@ -0,0 +1,55 @@
+const userRepository = require('../repositories/UserRepository');
+const roleRepository = require('../repositories/RoleRepository');
+const departmentRepository = require('../repositories/DepartmentRepository');
+
+class DataScopeService {
+  /**
+   * 获取用户的数据范围（多个角色取并集）
+   * @param {Number} userId - 用户ID
+   * @returns {Object} 数据范围 { all, departmentIds, userId }
+   */
+  async getUserDataScope(userId) {
+    const user = await userRepository.findById(userId);
+    const roles = await userRepository.getUserRoles(userId);
+
+    // 超级管理员或任一角色为全部数据时不限制
+    if (roles.some((role) => role.code === 'super_admin' || role.data_scope === 'all')) {
+      return { all: true, departmentIds: [], userId };
+    }
+
+    const departmentIds = new Set();
+    const ownDepartmentId = user ? user.department_id : null;
+
+    for (const role of roles) {
+      if (role.data_scope === 'dept' && ownDepartmentId) {
+        departmentIds.add(ownDepartmentId);
+      } else if (role.data_scope === 'dept_and_below' && ownDepartmentId) {
+        departmentIds.add(ownDepartmentId);
+        const descendantIds = await departmentRepository.getDescendantIds(ownDepartmentId);
+        descendantIds.forEach((id) => departmentIds.add(id));
+      } else if (role.data_scope === 'custom') {
+        const customIds = await roleRepository.getDepartmentIds(role.id);
+        customIds.forEach((id) => departmentIds.add(id));
+      }
+    }
+
+    return { all: false, departmentIds: Array.from(departmentIds), userId };
+  }
+
+  /**
+   * 判断目标用户是否在数据范围内（本人始终可见）
+   * @param {Object} dataScope - 数据范围 { all, departmentIds, userId }
+   * @param {Object} user - 目标用户
+   * @returns {Boolean} 是否可见
+   */
+  isUserInScope(dataScope, user) {
+    if (dataScope.all || user.id === dataScope.userId) {
+      return true;
+    }
+
+    return user.department_id !== null && dataScope.departmentIds.includes(user.department_id);
+  }
+}
+
+// 导出实例
+module.exports = new DataScopeService();
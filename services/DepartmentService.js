@@ -0,0 +1,183 @@
+const departmentRepository = require('../repositories/DepartmentRepository');
+const userRepository = require('../repositories/UserRepository');
+const dataScopeService = require('./DataScopeService');
+
+class DepartmentService {
+  /**
+   * 获取部门树形结构
+   * @returns {Array} 部门树
+   */
+  async getDepartmentTree() {
+    return await departmentRepository.getDepartmentTree();
+  }
+
+  /**
+   * 根据ID获取部门详情
+   * @param {Number} id - 部门ID
+   * @returns {Object} 部门详情
+   */
+  async getDepartmentById(id) {
+    const department = await departmentRepository.findById(id);
+    if (!department) {
+      throw new Error('部门不存在');
+    }
+
+    const leaders = await departmentRepository.getLeaders(id);
+    const userCount = await departmentRepository.getUserCount(id);
+
+    return { department, leaders, user_count: userCount };
+  }
+
+  /**
+   * 创建部门
+   * @param {Object} departmentData - 部门数据
+   * @returns {Object} 创建的部门信息
+   */
+  async createDepartment(departmentData) {
+    const parentId = departmentData.parent_id || 0;
+
+    // 如果设置了父部门，检查父部门是否存在
+    if (parentId > 0) {
+      const parentDepartment = await departmentRepository.findById(parentId);
+      if (!parentDepartment) {
+        throw new Error('父部门不存在');
+      }
+    }
+
+    if (await departmentRepository.isNameExists(departmentData.name, parentId)) {
+      throw new Error('同级部门名称已存在');
+    }
+
+    return await departmentRepository.create({ ...departmentData, parent_id: parentId });
+  }
+
+  /**
+   * 更新部门信息
+   * @param {Number} id - 部门ID
+   * @param {Object} updateData - 更新数据
+   * @returns {Object} 更新后的部门信息
+   */
+  async updateDepartment(id, updateData) {
+    const existingDepartment = await departmentRepository.findById(id);
+    if (!existingDepartment) {
+      throw new Error('部门不存在');
+    }
+
+    if (updateData.name && updateData.name !== existingDepartment.name) {
+      const isNameExists = await departmentRepository.isNameExists(
+        updateData.name,
+        existingDepartment.parent_id,
+        id
+      );
+      if (isNameExists) {
+        throw new Error('同级部门名称已存在');
+      }
+    }
+
+    return await departmentRepository.updateById(id, updateData);
+  }
+
+  /**
+   * 移动部门（连同其下级部门一起移动）
+   * @param {Number} id - 部门ID
+   * @param {Number} parentId - 新的父部门ID，0表示顶级部门
+   * @param {Number} sortOrder - 新的排序
+   * @returns {Object} 移动后的部门信息
+   */
+  async moveDepartment(id, parentId, sortOrder) {
+    const existingDepartment = await departmentRepository.findById(id);
+    if (!existingDepartment) {
+      throw new Error('部门不存在');
+    }
+
+    if (parentId > 0) {
+      if (parentId === parseInt(id)) {
+        throw new Error('不能将自己设置为父部门');
+      }
+      const parentDepartment = await departmentRepository.findById(parentId);
+      if (!parentDepartment) {
+        throw new Error('父部门不存在');
+      }
+      const descendantIds = await departmentRepository.getDescendantIds(id);
+      if (descendantIds.includes(parentId)) {
+        throw new Error('不能将部门移动到其下级部门中');
+      }
+    }
+
+    if (await departmentRepository.isNameExists(existingDepartment.name, parentId, id)) {
+      throw new Error('目标位置已存在同名部门');
+    }
+
+    const updateData = { parent_id: parentId };
+    if (sortOrder !== undefined) {
+      updateData.sort_order = sortOrder;
+    }
+
+    return await departmentRepository.updateById(id, updateData);
+  }
+
+  /**
+   * 删除部门
+   * @param {Number} id - 部门ID
+   * @returns {Boolean} 是否删除成功
+   */
+  async deleteDepartment(id) {
+    const existingDepartment = await departmentRepository.findById(id);
+    if (!existingDepartment) {
+      throw new Error('部门不存在');
+    }
+
+    // 检查是否有子部门
+    const childrenCount = await departmentRepository.getChildrenCount(id);
+    if (childrenCount > 0) {
+      throw new Error('该部门下还有子部门，无法删除');
+    }
+
+    // 检查是否有成员
+    const userCount = await departmentRepository.getUserCount(id);
+    if (userCount > 0) {
+      throw new Error('该部门下还有用户，无法删除');
+    }
+
+    const result = await departmentRepository.destroyById(id);
+    return result > 0;
+  }
+
+  /**
+   * 获取部门成员（按当前用户的数据范围过滤）
+   * @param {Number} id - 部门ID
+   * @param {Object} query - 查询参数 { page, pageSize, include_children }
+   * @param {Number} currentUserId - 当前用户ID
+   * @returns {Object} 用户列表和总数
+   */
+  async getDepartmentUsers(id, query, currentUserId) {
+    const existingDepartment = await departmentRepository.findById(id);
+    if (!existingDepartment) {
+      throw new Error('部门不存在');
+    }
+
+    const { page = 1, pageSize = 10, include_children: includeChildren = true } = query;
+    const departmentIds = await this.resolveDepartmentIds(id, includeChildren);
+    const dataScope = await dataScopeService.getUserDataScope(currentUserId);
+
+    return await userRepository.findUsersPaginated(page, pageSize, { departmentIds }, dataScope);
+  }
+
+  /**
+   * 获取部门及（可选）其全部下级部门的ID
+   * @param {Number} id - 部门ID
+   * @param {Boolean} includeChildren - 是否包含下级部门
+   * @returns {Array} 部门ID数组
+   */
+  async resolveDepartmentIds(id, includeChildren = true) {
+    const departmentIds = [parseInt(id)];
+    if (includeChildren) {
+      const descendantIds = await departmentRepository.getDescendantIds(id);
+      departmentIds.push(...descendantIds);
+    }
+    return departmentIds;
+  }
+}
+
+// 导出实例
+module.exports = new DepartmentService();
@@ -101,6 +101,253 @@ class EmailService {
       throw new Error('邮件发送失败');
     }
   }
+
+  /**
+   * 发送快捷登录邮件
+   * @param {String} email - 收件人邮箱
+   * @param {String} username - 用户名
+   * @param {String} loginUrl - 登录链接
+   * @param {Number} expiresInMinutes - 有效期(分钟)
+   */
+  async sendMagicLinkEmail(email, username, loginUrl, expiresInMinutes) {
+    try {
+      const html = await this.renderTemplate('magic-link', {
+        username,
+        loginUrl,
+        expiresInMinutes
+      });
+
+      await sendEmail({
+        to: email,
+        subject: '快捷登录 - 商城管理系统',
+        html,
+        text: `您好 ${username}，请在${expiresInMinutes}分钟内打开以下链接登录（仅可使用一次）：${loginUrl}`
+      });
+
+      logger.info(`快捷登录邮件发送成功 - 收件人: ${email}`);
+    } catch (error) {
+      logger.error('发送快捷登录邮件失败:', error);
+      throw new Error('邮件发送失败');
+    }
+  }
+
+  /**
+   * 发送账户锁定通知邮件
+   * @param {String} email - 收件人邮箱
+   * @param {String} username - 用户名
+   * @param {Date} lockedUntil - 锁定截止时间
+   * @param {String} clientIp - 触发锁定的IP
+   */
+  async sendAccountLockedEmail(email, username, lockedUntil, clientIp) {
+    try {
+      const until = lockedUntil.toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
+      const html = await this.renderTemplate('notice', {
+        title: '账户安全提醒',
+        level: 'warning',
+        username,
+        paragraphs: [
+          '您的账户因连续多次登录失败已被临时锁定。',
+          '如果这些登录尝试不是您本人操作，建议您在解锁后立即修改密码并启用两步验证。'
+        ],
+        details: [
+          { label: '锁定截止时间', value: until },
+          { label: '最近一次尝试IP', value: clientIp || '未知' }
+        ],
+        tips: '如需提前解锁，请联系系统管理员。'
+      });
+
+      await sendEmail({
+        to: email,
+        subject: '账户锁定提醒 - 商城管理系统',
+        html,
+        text: `您好 ${username}，您的账户因连续多次登录失败已被锁定至 ${until}。如非本人操作，请及时修改密码。`
+      });
+
+      logger.info(`账户锁定通知发送成功 - 收件人: ${email}`);
+    } catch (error) {
+      logger.error('发送账户锁定通知失败:', error);
+      throw new Error('邮件发送失败');
+    }
+  }
+
+  /**
+   * 发送更换邮箱验证码（发往新邮箱）
+   * @param {String} email - 新邮箱
+   * @param {String} username - 用户名
+   * @param {String} verificationCode - 验证码
+   */
+  async sendEmailChangeCode(email, username, verificationCode) {
+    try {
+      const html = await this.renderTemplate('notice', {
+        title: '确认新邮箱',
+        username,
+        paragraphs: [
+          '您正在将账户绑定的邮箱更换为当前邮箱，请在页面中输入以下验证码完成确认。'
+        ],
+        details: [
+          { label: '验证码', value: verificationCode },
+          { label: '有效期', value: '10分钟' }
+        ],
+        tips: '如非本人操作，请忽略此邮件，您的账户邮箱不会被更改。'
+      });
+
+      await sendEmail({
+        to: email,
+        subject: '确认新邮箱 - 商城管理系统',
+        html,
+        text: `您好 ${username}，您正在更换账户邮箱，验证码是：${verificationCode}，有效期10分钟。`
+      });
+
+      logger.info(`更换邮箱验证码发送成功 - 收件人: ${email}`);
+    } catch (error) {
+      logger.error('发送更换邮箱验证码失败:', error);
+      throw new Error('邮件发送失败');
+    }
+  }
+
+  /**
+   * 发送邮箱已更换通知（发往原邮箱）
+   * @param {String} email - 原邮箱
+   * @param {String} username - 用户名
+   * @param {String} newEmail - 新邮箱
+   */
+  async sendEmailChangedNotice(email, username, newEmail) {
+    try {
+      const changedAt = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
+      const html = await this.renderTemplate('notice', {
+        title: '账户安全提醒',
+        level: 'warning',
+        username,
+        paragraphs: [
+          '您的账户绑定邮箱已更换，此后登录和安全通知将发送到新邮箱。',
+          '如果这不是您本人的操作，请立即联系系统管理员冻结账户。'
+        ],
+        details: [
+          { label: '新邮箱', value: newEmail },
+          { label: '更换时间', value: changedAt }
+        ]
+      });
+
+      await sendEmail({
+        to: email,
+        subject: '邮箱更换提醒 - 商城管理系统',
+        html,
+        text: `您好 ${username}，您的账户邮箱已于 ${changedAt} 更换为 ${newEmail}。如非本人操作，请立即联系系统管理员。`
+      });
+
+      logger.info(`邮箱更换通知发送成功 - 收件人: ${email}`);
+    } catch (error) {
+      logger.error('发送邮箱更换通知失败:', error);
+      throw new Error('邮件发送失败');
+    }
+  }
+
+  /**
+   * 发送用户邀请邮件
+   * @param {String} email - 受邀邮箱
+   * @param {String} inviterName - 邀请人名称
+   * @param {String} inviteUrl - 接受邀请链接
+   * @param {Date} expiresAt - 过期时间
+   */
+  async sendInvitationEmail(email, inviterName, inviteUrl, expiresAt) {
+    try {
+      const until = new Date(expiresAt).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
+      const html = await this.renderTemplate('notice', {
+        title: '加入商城管理系统',
+        username: email,
+        paragraphs: [
+          `${inviterName} 邀请您加入商城管理系统。`,
+          '请点击下方按钮设置登录密码并完善个人资料，完成后即可使用该邮箱登录。'
+        ],
+        details: [
+          { label: '邀请人', value: inviterName },
+          { label: '链接有效期至', value: until }
+        ],
+        actionUrl: inviteUrl,
+        actionText: '接受邀请',
+        tips: '邀请链接仅能使用一次。如果您不认识邀请人，请忽略此邮件。'
+      });
+
+      await sendEmail({
+        to: email,
+        subject: '邀请您加入 - 商城管理系统',
+        html,
+        text: `${inviterName} 邀请您加入商城管理系统，请在 ${until} 前访问以下链接设置密码：${inviteUrl}`
+      });
+
+      logger.info(`用户邀请邮件发送成功 - 收件人: ${email}`);
+    } catch (error) {
+      logger.error('发送用户邀请邮件失败:', error);
+      throw new Error('邮件发送失败');
+    }
+  }
+
+  /**
+   * 发送注册审核通过通知
+   * @param {String} email - 邮箱
+   * @param {String} username - 用户名
+   * @param {String} loginUrl - 登录链接
+   */
+  async sendRegistrationApprovedEmail(email, username, loginUrl) {
+    try {
+      const html = await this.renderTemplate('notice', {
+        title: '注册审核通过',
+        username,
+        paragraphs: [
+          '您的注册申请已通过管理员审核，现在可以使用注册邮箱和密码登录系统。'
+        ],
+        actionUrl: loginUrl,
+        actionText: '立即登录'
+      });
+
+      await sendEmail({
+        to: email,
+        subject: '注册审核通过 - 商城管理系统',
+        html,
+        text: `您好 ${username}，您的注册申请已通过审核，请访问 ${loginUrl} 登录。`
+      });
+
+      logger.info(`注册审核通过通知发送成功 - 收件人: ${email}`);
+    } catch (error) {
+      logger.error('发送注册审核通过通知失败:', error);
+      throw new Error('邮件发送失败');
+    }
+  }
+
+  /**
+   * 发送注册审核拒绝通知
+   * @param {String} email - 邮箱
+   * @param {String} username - 用户名
+   * @param {String} reason - 拒绝原因
+   */
+  async sendRegistrationRejectedEmail(email, username, reason) {
+    try {
+      const html = await this.renderTemplate('notice', {
+        title: '注册审核结果',
+        level: 'warning',
+        username,
+        paragraphs: [
+          '很抱歉，您的注册申请未通过管理员审核。'
+        ],
+        details: [
+          { label: '原因', value: reason }
+        ],
+        tips: '如有疑问，请联系系统管理员。'
+      });
+
+      await sendEmail({
+        to: email,
+        subject: '注册审核结果 - 商城管理系统',
+        html,
+        text: `您好 ${username}，您的注册申请未通过审核，原因：${reason}。`
+      });
+
+      logger.info(`注册审核拒绝通知发送成功 - 收件人: ${email}`);
+    } catch (error) {
+      logger.error('发送注册审核拒绝通知失败:', error);
+      throw new Error('邮件发送失败');
+    }
+  }
 }
 
 // 导出实例
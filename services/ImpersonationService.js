@@ -0,0 +1,114 @@
+const logger = require('../utils/logger');
+const userRepository = require('../repositories/UserRepository');
+const impersonationLogRepository = require('../repositories/ImpersonationLogRepository');
+const tokenService = require('./TokenService');
+
+// 模拟登录令牌有效期
+const IMPERSONATION_TTL = process.env.IMPERSONATION_TTL || '15m';
+
+class ImpersonationService {
+  /**
+   * 开始模拟登录，签发以目标用户身份访问的短期令牌
+   * @param {Number} impersonatorId - 操作的超级管理员ID
+   * @param {Number} userId - 被模拟的用户ID
+   * @param {String} reason - 模拟原因
+   * @param {Object} client - 客户端信息 { ip, userAgent }
+   * @returns {Object} 模拟令牌信息
+   */
+  async start(impersonatorId, userId, reason, client = {}) {
+    if (impersonatorId === userId) {
+      throw new Error('不能模拟登录自己');
+    }
+
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('用户不存在');
+    }
+
+    if (user.status !== 1) {
+      throw new Error('用户已被禁用');
+    }
+
+    // 不允许模拟其他超级管理员，避免权限横向扩散
+    const roles = await userRepository.getUserRoles(userId);
+    if (roles.some((role) => role.code === 'super_admin')) {
+      throw new Error('不能模拟登录超级管理员');
+    }
+
+    const result = tokenService.issueImpersonationToken(user, impersonatorId, IMPERSONATION_TTL);
+
+    await this.record('start', {
+      impersonatorId,
+      userId,
+      tokenId: result.jti,
+      reason,
+      client
+    });
+
+    logger.warn(
+      `开始模拟登录 - 管理员ID: ${impersonatorId}, 目标用户ID: ${userId}, 原因: ${reason || '-'}`
+    );
+
+    return {
+      token: result.token,
+      expires_in: result.expires_in,
+      impersonator_id: impersonatorId,
+      user: await userRepository.findUserById(userId)
+    };
+  }
+
+  /**
+   * 结束模拟登录，吊销模拟令牌
+   * @param {Object} tokenPayload - 模拟令牌载荷
+   * @param {Object} client - 客户端信息 { ip, userAgent }
+   */
+  async stop(tokenPayload, client = {}) {
+    if (!tokenPayload || !tokenPayload.impersonator_id) {
+      throw new Error('当前不处于模拟登录状态');
+    }
+
+    await tokenService.revokeToken(tokenPayload);
+
+    await this.record('stop', {
+      impersonatorId: tokenPayload.impersonator_id,
+      userId: tokenPayload.id,
+      tokenId: tokenPayload.jti,
+      client
+    });
+
+    logger.warn(
+      `结束模拟登录 - 管理员ID: ${tokenPayload.impersonator_id}, 目标用户ID: ${tokenPayload.id}`
+    );
+  }
+
+  /**
+   * 分页获取用户被模拟登录的记录
+   * @param {Number} userId - 用户ID
+   * @param {Object} query - 分页参数 { page, pageSize }
+   * @returns {Object} 记录列表
+   */
+  async getLogs(userId, query = {}) {
+    const { page = 1, pageSize = 10 } = query;
+    return await impersonationLogRepository.findByUserPaginated(userId, page, pageSize);
+  }
+
+  /**
+   * 写入模拟登录审计日志
+   * @param {String} action - 动作 start/stop
+   * @param {Object} data - 日志数据
+   */
+  async record(action, { impersonatorId, userId, tokenId, reason = null, client }) {
+    await impersonationLogRepository.create({
+      impersonator_id: impersonatorId,
+      user_id: userId,
+      action,
+      token_id: tokenId,
+      reason,
+      ip: client.ip || null,
+      user_agent: client.userAgent ? client.userAgent.slice(0, 500) : null
+    });
+  }
+}
+
+// 导出实例
+module.exports = new ImpersonationService();
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const userRepository = require('../repositories/UserRepository');
+const roleRepository = require('../repositories/RoleRepository');
+const invitationRepository = require('../repositories/InvitationRepository');
+const passwordPolicyService = require('./PasswordPolicyService');
+const authorizationService = require('./AuthorizationService');
+const tokenService = require('./TokenService');
+const emailService = require('./EmailService');
+
+// 邀请链接有效期（小时）
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS) || 72;
+
+class InvitationService {
+  /**
+   * 创建邀请并发送邀请邮件
+   * @param {Number} inviterId - 邀请人ID
+   * @param {Object} data - 邀请数据 { email, role_ids }
+   * @param {Object} apiKey - 通过API密钥调用时的密钥信息
+   * @returns {Object} 邀请信息
+   */
+  async createInvitation(inviterId, { email, role_ids: roleIds }, apiKey = null) {
+    if (await userRepository.findByEmail(email)) {
+      throw new Error('邮箱已存在');
+    }
+
+    if (await invitationRepository.findActiveByEmail(email)) {
+      throw new Error('该邮箱已有待接受的邀请，可重新发送或撤销后再邀请');
+    }
+
+    await this.assertRolesAvailable(roleIds);
+    await authorizationService.assertCanAssignRoles(inviterId, roleIds, apiKey);
+
+    const token = this.generateToken();
+    const invitation = await invitationRepository.create({
+      email,
+      role_ids: JSON.stringify(roleIds),
+      token_hash: tokenService.hashToken(token),
+      invited_by: inviterId,
+      expires_at: this.getExpiresAt()
+    });
+
+    await this.sendInvitation(invitation, token, inviterId);
+
+    logger.info(`发送用户邀请 - 邀请人ID: ${inviterId}, 邮箱: ${email}`);
+
+    return this.formatInvitation(invitation);
+  }
+
+  /**
+   * 分页获取邀请列表
+   * @param {Number} page - 页码
+   * @param {Number} pageSize - 每页数量
+   * @param {Object} filters - 筛选条件 { email, status }
+   * @returns {Object} 邀请列表和总数
+   */
+  async getInvitations(page, pageSize, filters) {
+    const result = await invitationRepository.findInvitationsPaginated(page, pageSize, filters);
+    return {
+      ...result,
+      list: result.list.map((invitation) => this.formatInvitation(invitation))
+    };
+  }
+
+  /**
+   * 重新发送邀请，旧链接随即失效
+   * @param {Number} id - 邀请ID
+   * @param {Number} operatorId - 操作人ID
+   * @param {Object} apiKey - 通过API密钥调用时的密钥信息
+   * @returns {Object} 邀请信息
+   */
+  async resendInvitation(id, operatorId, apiKey = null) {
+    const invitation = await invitationRepository.findById(id);
+    if (!invitation) {
+      throw new Error('邀请不存在');
+    }
+
+    if (invitation.status !== 'pending') {
+      throw new Error('邀请已被接受或撤销，无法重新发送');
+    }
+
+    if (await userRepository.findByEmail(invitation.email)) {
+      throw new Error('邮箱已存在');
+    }
+
+    const roleIds = JSON.parse(invitation.role_ids);
+    await this.assertRolesAvailable(roleIds);
+    await authorizationService.assertCanAssignRoles(operatorId, roleIds, apiKey);
+
+    const token = this.generateToken();
+    await invitation.update({
+      token_hash: tokenService.hashToken(token),
+      expires_at: this.getExpiresAt()
+    });
+
+    await this.sendInvitation(invitation, token, operatorId);
+
+    logger.info(`重新发送用户邀请 - 操作人ID: ${operatorId}, 邀请ID: ${id}`);
+
+    return this.formatInvitation(invitation);
+  }
+
+  /**
+   * 撤销邀请
+   * @param {Number} id - 邀请ID
+   * @param {Number} operatorId - 操作人ID
+   */
+  async revokeInvitation(id, operatorId) {
+    const invitation = await invitationRepository.findById(id);
+    if (!invitation) {
+      throw new Error('邀请不存在');
+    }
+
+    if (invitation.status !== 'pending') {
+      throw new Error('邀请已被接受或撤销');
+    }
+
+    await invitation.update({ status: 'revoked' });
+
+    logger.info(`撤销用户邀请 - 操作人ID: ${operatorId}, 邀请ID: ${id}`);
+  }
+
+  /**
+   * 根据邀请令牌获取邀请信息（供接受页面预填）
+   * @param {String} token - 邀请令牌
+   * @returns {Object} 邀请信息
+   */
+  async getInvitationByToken(token) {
+    const invitation = await this.findValidInvitation(token);
+    return {
+      email: invitation.email,
+      expires_at: invitation.expires_at
+    };
+  }
+
+  /**
+   * 接受邀请：设置密码和个人资料并创建账户
+   * @param {Object} data - 接受数据 { token, username, password, real_name, phone }
+   * @returns {Object} 创建的用户信息
+   */
+  async acceptInvitation({ token, ...profile }) {
+    const invitation = await this.findValidInvitation(token);
+
+    if (await userRepository.findByUsername(profile.username)) {
+      throw new Error('用户名已存在');
+    }
+
+    if (await userRepository.findByEmail(invitation.email)) {
+      throw new Error('邮箱已存在');
+    }
+
+    const userData = { ...profile, email: invitation.email };
+
+    // 检查密码是否符合安全策略
+    passwordPolicyService.validate(userData.password, userData);
+
+    // 角色可能在邀请后被删除或禁用，只分配仍然可用的角色
+    const roleIds = [];
+    for (const roleId of JSON.parse(invitation.role_ids)) {
+      const role = await roleRepository.findById(roleId);
+      if (role && role.status === 1) {
+        roleIds.push(roleId);
+      }
+    }
+
+    // 标记邀请、创建用户和分配角色在同一事务中完成，任一步失败时邀请仍可再次使用
+    const user = await invitationRepository.transaction(async (transaction) => {
+      // 以待接受状态为条件更新，防止同一链接被并发重复使用
+      const [affected] = await invitationRepository.update(
+        { status: 'accepted', accepted_at: new Date() },
+        { id: invitation.id, status: 'pending' },
+        { transaction }
+      );
+      if (!affected) {
+        throw new Error('邀请链接已失效');
+      }
+
+      const createdUser = await userRepository.createUser(userData, { transaction });
+      await invitationRepository.update(
+        { user_id: createdUser.id },
+        { id: invitation.id },
+        { transaction }
+      );
+      await userRepository.assignRoles(createdUser.id, roleIds, { transaction });
+
+      return createdUser;
+    });
+
+    logger.info(`用户接受邀请 - 邀请ID: ${invitation.id}, 用户ID: ${user.id}`);
+
+    return await userRepository.findUserById(user.id);
+  }
+
+  /**
+   * 根据令牌查找仍然有效的邀请
+   * @param {String} token - 邀请令牌
+   * @returns {Object} 邀请信息
+   */
+  async findValidInvitation(token) {
+    const invitation = await invitationRepository.findByTokenHash(tokenService.hashToken(token));
+    if (!invitation || invitation.status !== 'pending') {
+      throw new Error('邀请链接已失效');
+    }
+
+    if (new Date(invitation.expires_at) <= new Date()) {
+      throw new Error('邀请链接已过期，请联系管理员重新发送');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * 检查角色均存在且已启用
+   * @param {Array} roleIds - 角色ID列表
+   */
+  async assertRolesAvailable(roleIds) {
+    for (const roleId of roleIds) {
+      const role = await roleRepository.findById(roleId);
+      if (!role) {
+        throw new Error(`角色ID ${roleId} 不存在`);
+      }
+      if (role.status !== 1) {
+        throw new Error(`角色 ${role.name} 已被禁用`);
+      }
+    }
+  }
+
+  /**
+   * 发送邀请邮件
+   * @param {Object} invitation - 邀请记录
+   * @param {String} token - 邀请令牌明文
+   * @param {Number} inviterId - 邀请人ID
+   */
+  async sendInvitation(invitation, token, inviterId) {
+    const inviter = await userRepository.findById(inviterId);
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invitation?token=${token}`;
+
+    await emailService.sendInvitationEmail(
+      invitation.email,
+      inviter ? inviter.real_name || inviter.username : '系统管理员',
+      inviteUrl,
+      invitation.expires_at
+    );
+  }
+
+  /**
+   * 生成邀请令牌
+   * @returns {String} 邀请令牌
+   */
+  generateToken() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  /**
+   * 计算邀请过期时间
+   * @returns {Date} 过期时间
+   */
+  getExpiresAt() {
+    return new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000);
+  }
+
+  /**
+   * 格式化邀请信息，补充计算得到的状态
+   * @param {Object} invitation - 邀请记录
+   * @returns {Object} 邀请信息
+   */
+  formatInvitation(invitation) {
+    const data = invitation.toJSON ? invitation.toJSON() : { ...invitation };
+    delete data.token_hash;
+
+    data.role_ids = JSON.parse(data.role_ids || '[]');
+    if (data.status === 'pending' && new Date(data.expires_at) <= new Date()) {
+      data.status = 'expired';
+    }
+
+    return data;
+  }
+}
+
+// 导出实例
+module.exports = new InvitationService();
@@ -0,0 +1,104 @@
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+const emailService = require('./EmailService');
+
+const guardConfig = {
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5, // 锁定前允许的连续失败次数
+  attemptWindow: parseInt(process.env.LOGIN_ATTEMPT_WINDOW) || 15 * 60, // 失败计数窗口(秒)
+  baseLockTime: parseInt(process.env.LOGIN_LOCK_TIME) || 5 * 60, // 首次锁定时长(秒)
+  maxLockTime: 24 * 60 * 60 // 最长锁定时长(秒)
+};
+
+class LoginGuardService {
+  /**
+   * 检查账户是否处于锁定状态，锁定时抛出错误
+   * @param {Number} userId - 用户ID
+   */
+  async assertNotLocked(userId) {
+    const ttl = await redis.ttl(`login_lock:${userId}`);
+    if (ttl > 0) {
+      throw new Error(`账户已被临时锁定，请在 ${Math.ceil(ttl / 60)} 分钟后重试`);
+    }
+  }
+
+  /**
+   * 记录一次登录失败，达到上限时锁定账户
+   * 每次锁定的时长按指数递增
+   * @param {Object} user - 用户信息
+   * @param {String} clientIp - 客户端IP
+   */
+  async recordFailure(user, clientIp) {
+    const failuresKey = `login_failures:${user.id}`;
+    const failures = await redis.incr(failuresKey);
+    if (failures === 1) {
+      await redis.expire(failuresKey, guardConfig.attemptWindow);
+    }
+
+    if (failures < guardConfig.maxAttempts) {
+      return;
+    }
+
+    const levelKey = `login_lock_level:${user.id}`;
+    const level = await redis.incr(levelKey);
+    await redis.expire(levelKey, guardConfig.maxLockTime);
+
+    const lockTime = Math.min(
+      guardConfig.baseLockTime * 2 ** (level - 1),
+      guardConfig.maxLockTime
+    );
+    const lockedUntil = new Date(Date.now() + lockTime * 1000);
+
+    await redis.setex(`login_lock:${user.id}`, lockTime, lockedUntil.toISOString());
+    await redis.del(failuresKey);
+
+    logger.warn(
+      `账户因连续登录失败被锁定 - 用户ID: ${user.id}, IP: ${clientIp}, 锁定时长: ${lockTime}秒`
+    );
+
+    // 通知账户所有者
+    emailService
+      .sendAccountLockedEmail(user.email, user.username, lockedUntil, clientIp)
+      .catch((error) => logger.error('发送账户锁定通知失败:', error));
+  }
+
+  /**
+   * 登录成功后清除失败记录
+   * @param {Number} userId - 用户ID
+   */
+  async recordSuccess(userId) {
+    await redis.del(`login_failures:${userId}`, `login_lock_level:${userId}`);
+  }
+
+  /**
+   * 获取账户锁定状态
+   * @param {Number} userId - 用户ID
+   * @returns {Object} 锁定状态
+   */
+  async getLockStatus(userId) {
+    const [lockedUntil, failures] = await redis.mget(
+      `login_lock:${userId}`,
+      `login_failures:${userId}`
+    );
+
+    return {
+      locked: lockedUntil !== null,
+      locked_until: lockedUntil,
+      failed_attempts: parseInt(failures) || 0
+    };
+  }
+
+  /**
+   * 解除账户锁定
+   * @param {Number} userId - 用户ID
+   */
+  async unlock(userId) {
+    await redis.del(
+      `login_lock:${userId}`,
+      `login_failures:${userId}`,
+      `login_lock_level:${userId}`
+    );
+  }
+}
+
+// 导出实例
+module.exports = new LoginGuardService();
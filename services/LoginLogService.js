@@ -0,0 +1,68 @@
+const logger = require('../utils/logger');
+const loginLogRepository = require('../repositories/LoginLogRepository');
+
+class LoginLogService {
+  /**
+   * 记录登录成功
+   * @param {Object} user - 用户信息
+   * @param {Object} client - 客户端信息 { ip, userAgent }
+   */
+  async recordSuccess(user, client = {}) {
+    await this.record({
+      user_id: user.id,
+      email: user.email,
+      status: 1,
+      client
+    });
+  }
+
+  /**
+   * 记录登录失败
+   * @param {Object|null} user - 用户信息（账号不存在时为空）
+   * @param {String} email - 登录邮箱
+   * @param {String} reason - 失败原因
+   * @param {Object} client - 客户端信息 { ip, userAgent }
+   */
+  async recordFailure(user, email, reason, client = {}) {
+    await this.record({
+      user_id: user ? user.id : null,
+      email,
+      status: 0,
+      reason,
+      client
+    });
+  }
+
+  /**
+   * 写入登录日志，写入失败不影响登录流程
+   * @param {Object} data - 日志数据
+   */
+  async record({ user_id, email, status, reason = null, client }) {
+    try {
+      await loginLogRepository.create({
+        user_id,
+        email,
+        status,
+        reason,
+        ip: client.ip || null,
+        user_agent: client.userAgent ? client.userAgent.slice(0, 500) : null
+      });
+    } catch (error) {
+      logger.error('写入登录日志失败:', error);
+    }
+  }
+
+  /**
+   * 分页获取用户登录记录
+   * @param {Number} userId - 用户ID
+   * @param {Object} query - 查询参数
+   * @returns {Object} 登录记录列表
+   */
+  async getUserLoginHistory(userId, query = {}) {
+    const { page = 1, pageSize = 10 } = query;
+    return await loginLogRepository.findByUserPaginated(userId, page, pageSize);
+  }
+}
+
+// 导出实例
+module.exports = new LoginLogService();
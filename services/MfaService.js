@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+const totp = require('../utils/totp');
+const imageUtil = require('../utils/image');
+const userRepository = require('../repositories/UserRepository');
+
+// 恢复码数量
+const RECOVERY_CODE_COUNT = 10;
+
+class MfaService {
+  /**
+   * 检查用户角色是否要求启用两步验证
+   * @param {Number} userId - 用户ID
+   * @returns {Boolean} 是否强制
+   */
+  async isMfaRequired(userId) {
+    const roles = await userRepository.getUserRoles(userId);
+    return roles.some((role) => role.mfa_required === 1);
+  }
+
+  /**
+   * 开始绑定两步验证，生成待确认的密钥和二维码
+   * @param {Number} userId - 用户ID
+   * @returns {Object} 密钥、otpauth链接和二维码
+   */
+  async setup(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('用户不存在');
+    }
+
+    if (user.mfa_enabled === 1) {
+      throw new Error('两步验证已启用');
+    }
+
+    const secret = totp.generateSecret();
+    const issuer = process.env.MFA_ISSUER || '商城管理系统';
+    const otpauthUrl = totp.keyUri(secret, user.email, issuer);
+
+    // 待确认的密钥10分钟内有效
+    await redis.setex(`mfa_setup:${userId}`, 600, secret);
+
+    const qrCode = await imageUtil.generateQRCode(otpauthUrl, { width: 240 });
+
+    return {
+      secret,
+      otpauth_url: otpauthUrl,
+      qr_code: `data:image/png;base64,${qrCode.toString('base64')}`
+    };
+  }
+
+  /**
+   * 确认绑定并启用两步验证
+   * @param {Number} userId - 用户ID
+   * @param {String} code - 认证器App生成的验证码
+   * @returns {Array} 恢复码（仅返回这一次）
+   */
+  async enable(userId, code) {
+    const secret = await redis.get(`mfa_setup:${userId}`);
+    if (!secret) {
+      throw new Error('绑定已过期，请重新获取二维码');
+    }
+
+    if (totp.verify(secret, code) === null) {
+      throw new Error('验证码错误');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await userRepository.updateById(userId, {
+      mfa_enabled: 1,
+      mfa_secret: secret,
+      mfa_recovery_codes: JSON.stringify(recoveryCodes.map((c) => this.hashCode(c)))
+    });
+    await redis.del(`mfa_setup:${userId}`);
+
+    logger.info(`用户启用两步验证 - 用户ID: ${userId}`);
+
+    return recoveryCodes;
+  }
+
+  /**
+   * 关闭两步验证
+   * @param {Number} userId - 用户ID
+   * @param {String} password - 当前密码
+   * @param {String} code - 验证码
+   */
+  async disable(userId, password, code) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('用户不存在');
+    }
+
+    if (user.mfa_enabled !== 1) {
+      throw new Error('两步验证未启用');
+    }
+
+    if (await this.isMfaRequired(userId)) {
+      throw new Error('您的角色要求必须启用两步验证');
+    }
+
+    const isValidPassword = await userRepository.verifyPassword(
+      password,
+      user.password
+    );
+    if (!isValidPassword) {
+      throw new Error('密码错误');
+    }
+
+    if (!(await this.verifyCode(user, code))) {
+      throw new Error('验证码错误');
+    }
+
+    await userRepository.updateById(userId, {
+      mfa_enabled: 0,
+      mfa_secret: null,
+      mfa_recovery_codes: null
+    });
+
+    logger.info(`用户关闭两步验证 - 用户ID: ${userId}`);
+  }
+
+  /**
+   * 重新生成恢复码
+   * @param {Number} userId - 用户ID
+   * @param {String} code - 验证码
+   * @returns {Array} 新的恢复码
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await userRepository.findById(userId);
+    if (!user || user.mfa_enabled !== 1) {
+      throw new Error('两步验证未启用');
+    }
+
+    if (!(await this.verifyCode(user, code))) {
+      throw new Error('验证码错误');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await userRepository.updateById(userId, {
+      mfa_recovery_codes: JSON.stringify(recoveryCodes.map((c) => this.hashCode(c)))
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * 校验TOTP验证码（同一验证码只能使用一次）
+   * @param {Object} user - 用户信息（包含密钥）
+   * @param {String} code - 验证码
+   * @returns {Boolean} 是否通过
+   */
+  async verifyCode(user, code) {
+    const counter = totp.verify(user.mfa_secret, code);
+    if (counter === null) {
+      return false;
+    }
+
+    // 记录已使用的时间步，防止验证码被重放
+    const fresh = await redis.set(
+      `mfa_used:${user.id}:${counter}`,
+      '1',
+      'EX',
+      totp.period * 3,
+      'NX'
+    );
+
+    return fresh === 'OK';
+  }
+
+  /**
+   * 使用恢复码（每个恢复码只能使用一次）
+   * @param {Object} user - 用户信息（包含恢复码）
+   * @param {String} recoveryCode - 恢复码
+   * @returns {Boolean} 是否通过
+   */
+  async useRecoveryCode(user, recoveryCode) {
+    const hash = this.hashCode(recoveryCode);
+    let current = user.mfa_recovery_codes;
+
+    // 以读取到的恢复码列表为条件更新，并发使用同一恢复码时只有一个请求能更新成功
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const hashes = JSON.parse(current || '[]');
+      const index = hashes.indexOf(hash);
+      if (index === -1) {
+        return false;
+      }
+
+      hashes.splice(index, 1);
+      const [affected] = await userRepository.update(
+        { mfa_recovery_codes: JSON.stringify(hashes) },
+        { id: user.id, mfa_recovery_codes: current }
+      );
+
+      if (affected > 0) {
+        logger.warn(`用户使用恢复码登录 - 用户ID: ${user.id}, 剩余恢复码: ${hashes.length}`);
+        return true;
+      }
+
+      // 恢复码列表已被其他请求修改，重新读取后再判断
+      const latest = await userRepository.findById(user.id);
+      if (!latest) {
+        return false;
+      }
+      current = latest.mfa_recovery_codes;
+    }
+
+    return false;
+  }
+
+  /**
+   * 生成恢复码
+   * @returns {Array} 恢复码列表，格式 xxxxx-xxxxx
+   */
+  generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return codes;
+  }
+
+  /**
+   * 计算恢复码哈希
+   * @param {String} code - 恢复码
+   * @returns {String} SHA256哈希
+   */
+  hashCode(code) {
+    return crypto
+      .createHash('sha256')
+      .update(code.trim().toLowerCase())
+      .digest('hex');
+  }
+}
+
+// 导出实例
+module.exports = new MfaService();
@@ -0,0 +1,142 @@
+const logger = require('../utils/logger');
+const { BCRYPT_MAX_BYTES, passwordPolicy, bannedPasswords } = require('../config/password');
+const userRepository = require('../repositories/UserRepository');
+const passwordHistoryRepository = require('../repositories/PasswordHistoryRepository');
+
+class PasswordPolicyService {
+  /**
+   * 获取当前密码策略（供前端展示规则）
+   * @returns {Object} 密码策略
+   */
+  getPolicy() {
+    return { ...passwordPolicy };
+  }
+
+  /**
+   * 校验密码是否符合策略，不符合时抛出错误
+   * @param {String} password - 明文密码
+   * @param {Object} user - 用户信息 { username, email }，用于检查密码是否包含个人信息
+   */
+  validate(password, user = {}) {
+    const errors = [];
+    const lower = password.toLowerCase();
+
+    if (password.length < passwordPolicy.minLength) {
+      errors.push(`长度不能少于${passwordPolicy.minLength}位`);
+    }
+    if (password.length > passwordPolicy.maxLength) {
+      errors.push(`长度不能超过${passwordPolicy.maxLength}位`);
+    } else if (Buffer.byteLength(password, 'utf8') > BCRYPT_MAX_BYTES) {
+      errors.push(`不能超过${BCRYPT_MAX_BYTES}个字节`);
+    }
+    if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+      errors.push('必须包含大写字母');
+    }
+    if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+      errors.push('必须包含小写字母');
+    }
+    if (passwordPolicy.requireDigit && !/\d/.test(password)) {
+      errors.push('必须包含数字');
+    }
+    if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+      errors.push('必须包含特殊字符');
+    }
+    if (bannedPasswords.has(lower)) {
+      errors.push('过于常见，容易被猜到');
+    }
+
+    const personalInfo = [user.username, user.email && user.email.split('@')[0]];
+    if (personalInfo.some((info) => info && info.length >= 3 && lower.includes(info.toLowerCase()))) {
+      errors.push('不能包含用户名或邮箱');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`密码不符合安全策略：${errors.join('；')}`);
+    }
+  }
+
+  /**
+   * 检查新密码是否与最近使用过的密码重复
+   * @param {Object} user - 用户信息（包含当前密码哈希）
+   * @param {String} password - 新密码
+   */
+  async assertNotReused(user, password) {
+    if (passwordPolicy.historyCount <= 0) {
+      return;
+    }
+
+    const hashes = [user.password];
+    if (passwordPolicy.historyCount > 1) {
+      const histories = await passwordHistoryRepository.findRecentByUser(
+        user.id,
+        passwordPolicy.historyCount - 1
+      );
+      hashes.push(...histories.map((item) => item.password));
+    }
+
+    for (const hash of hashes) {
+      if (await userRepository.verifyPassword(password, hash)) {
+        throw new Error(`新密码不能与最近${passwordPolicy.historyCount}次使用的密码相同`);
+      }
+    }
+  }
+
+  /**
+   * 检查新密码是否可用（符合策略且未重复使用）
+   * @param {Object} user - 用户信息（包含当前密码哈希）
+   * @param {String} newPassword - 新密码
+   */
+  async assertAcceptable(user, newPassword) {
+    this.validate(newPassword, user);
+    await this.assertNotReused(user, newPassword);
+  }
+
+  /**
+   * 按策略修改用户密码，并记录密码历史
+   * @param {Object} user - 用户信息（包含当前密码哈希）
+   * @param {String} newPassword - 新密码
+   */
+  async changePassword(user, newPassword) {
+    await this.assertAcceptable(user, newPassword);
+    await this.savePassword(user, newPassword);
+  }
+
+  /**
+   * 保存新密码并记录密码历史（调用前需已通过 assertAcceptable 检查）
+   * @param {Object} user - 用户信息（包含当前密码哈希）
+   * @param {String} newPassword - 新密码
+   */
+  async savePassword(user, newPassword) {
+    if (passwordPolicy.historyCount > 1) {
+      await passwordHistoryRepository.create({
+        user_id: user.id,
+        password: user.password
+      });
+      await passwordHistoryRepository.pruneByUser(
+        user.id,
+        passwordPolicy.historyCount - 1
+      );
+    }
+
+    await userRepository.updatePassword(user.id, newPassword);
+
+    logger.info(`用户密码已修改 - 用户ID: ${user.id}`);
+  }
+
+  /**
+   * 判断用户密码是否已过期
+   * @param {Object} user - 用户信息
+   * @returns {Boolean} 是否过期
+   */
+  isExpired(user) {
+    if (passwordPolicy.maxAgeDays <= 0 || !user.password_changed_at) {
+      return false;
+    }
+
+    const maxAge = passwordPolicy.maxAgeDays * 24 * 60 * 60 * 1000;
+    return Date.now() - new Date(user.password_changed_at).getTime() > maxAge;
+  }
+}
+
+// 导出实例
+module.exports = new PasswordPolicyService();
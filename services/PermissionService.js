@@ -1,4 +1,6 @@
 const permissionRepository = require('../repositories/PermissionRepository');
+const authorizationService = require('./AuthorizationService');
+const { hasPermission } = require('../utils/permissionMatcher');
 
 class PermissionService {
   /**
@@ -25,6 +27,55 @@ class PermissionService {
     return await permissionRepository.getPermissionTree();
   }
 
+  /**
+   * 获取用户有权访问的菜单树和按钮权限代码
+   * 未被授予但有已授权下级菜单的菜单作为分组保留，禁用的权限及其下级不会返回
+   * @param {Number} userId - 用户ID
+   * @returns {Object} { menus: 菜单树, buttons: 按钮权限代码数组 }
+   */
+  async getUserMenus(userId) {
+    const permissionCodes = await authorizationService.getPermissionCodes(userId);
+    const tree = await permissionRepository.getPermissionTree();
+    const buttons = [];
+
+    const filterMenus = (nodes) =>
+      nodes.reduce((menus, node) => {
+        const granted = hasPermission(permissionCodes, node.code);
+
+        if (node.type === 'button') {
+          if (granted) {
+            buttons.push(node.code);
+          }
+          return menus;
+        }
+
+        const children = filterMenus(node.children || []);
+        if (node.type === 'menu' && (granted || children.length > 0)) {
+          const menu = {
+            id: node.id,
+            name: node.name,
+            code: node.code,
+            path: node.path,
+            icon: node.icon,
+            sort_order: node.sort_order
+          };
+          if (children.length > 0) {
+            menu.children = children;
+          }
+          menus.push(menu);
+        } else {
+          // 接口等非菜单节点不返回，其下的菜单提升到上一级
+          menus.push(...children);
+        }
+
+        return menus;
+      }, []);
+
+    const menus = filterMenus(tree);
+
+    return { menus, buttons };
+  }
+
   /**
    * 根据ID获取权限详情
    * @param {Number} id - 权限ID
@@ -63,7 +114,18 @@ class PermissionService {
       }
     }
 
-    return await permissionRepository.create(permissionData);
+    const permission = await permissionRepository.create(permissionData);
+
+    if (permission.type === 'api') {
+      await authorizationService.invalidateApiPermissions();
+    }
+
+    // 上级权限配置了覆盖下级时，新权限会自动授予拥有上级权限的用户
+    if (permission.parent_id > 0) {
+      await authorizationService.invalidatePermissions(permission.id);
+    }
+
+    return permission;
   }
 
   /**
@@ -102,7 +164,25 @@ class PermissionService {
       }
     }
 
-    return await permissionRepository.updateById(id, updateData);
+    // 移动前的上级权限可能通过覆盖下级授予了该权限
+    const previousAncestorIds = await permissionRepository.getAncestorIds(id);
+
+    const permission = await permissionRepository.updateById(id, updateData);
+
+    // 权限状态、代码、位置或覆盖方式变化会影响拥有该权限的用户
+    const changed = ['status', 'code', 'parent_id', 'cover_children'].some(
+      (field) => updateData[field] !== undefined && updateData[field] !== existingPermission[field]
+    );
+    if (changed) {
+      await authorizationService.invalidatePermissions([parseInt(id), ...previousAncestorIds]);
+    }
+
+    // 接口权限的映射路由发生变化
+    if (existingPermission.type === 'api' || permission.type === 'api') {
+      await authorizationService.invalidateApiPermissions();
+    }
+
+    return permission;
   }
 
   /**
@@ -123,7 +203,15 @@ class PermissionService {
       throw new Error('该权限下还有子权限，无法删除');
     }
 
+    // 删除后关联记录随之删除，需先找出受影响的角色（包括通过上级权限覆盖获得的）
+    const ancestorIds = await permissionRepository.getAncestorIds(id);
+    const roleIds = await permissionRepository.getRoleIds([parseInt(id), ...ancestorIds]);
+
     const result = await permissionRepository.destroyById(id);
+    await authorizationService.invalidateRoles(roleIds);
+    if (existingPermission.type === 'api') {
+      await authorizationService.invalidateApiPermissions();
+    }
     return result > 0;
   }
 }
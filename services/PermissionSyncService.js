@@ -0,0 +1,276 @@
+const permissionRepository = require('../repositories/PermissionRepository');
+const roleRepository = require('../repositories/RoleRepository');
+const authorizationService = require('./AuthorizationService');
+const { authorizeApi } = require('../middleware/apiAuthorization');
+const {
+  hasPermission,
+  parseExpression,
+  evaluateExpression
+} = require('../utils/permissionMatcher');
+
+// 默认操作名称（路由中没有资源子路径时使用）
+const DEFAULT_ACTIONS = {
+  GET: 'list',
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+class PermissionSyncService {
+  /**
+   * 遍历路由栈，收集全部接口路由
+   * 通过 router.use(authorizeApi) 按数据库鉴权的路由标记为 managed，只有这些路由需要配置接口权限；
+   * permissions 为路由上 requirePermission 声明的权限
+   * @param {Object} router - 汇总后的 @koa/router 实例（routes/index.js）
+   * @returns {Array} [{ method, path, managed, permissions }]
+   */
+  collectRoutes(router) {
+    const guards = router.stack.filter(
+      (layer) => layer.methods.length === 0 && layer.stack.includes(authorizeApi)
+    );
+
+    const routes = [];
+    const seen = new Set();
+
+    router.stack
+      .filter((layer) => layer.methods.length > 0)
+      .forEach((layer) => {
+        const managed = guards.some((guard) => guard.match(layer.path));
+        const permissions = layer.stack
+          .filter((middleware) => Array.isArray(middleware.permissions))
+          .reduce((codes, middleware) => codes.concat(middleware.permissions), []);
+
+        layer.methods
+          .filter((method) => method !== 'HEAD')
+          .forEach((method) => {
+            const key = `${method} ${layer.path}`;
+            if (seen.has(key)) {
+              return;
+            }
+            seen.add(key);
+            routes.push({ method, path: layer.path, managed, permissions });
+          });
+      });
+
+    return routes;
+  }
+
+  /**
+   * 对比路由与权限表中的接口权限
+   * @param {Object} router - 汇总后的 @koa/router 实例
+   * @returns {Object} { missing: 缺少权限的路由, orphaned: 没有对应路由的接口权限 }
+   */
+  async getDrift(router) {
+    const routes = this.collectRoutes(router);
+    const permissions = await permissionRepository.findAll({ type: 'api' });
+
+    // 未设置方法的权限匹配该路径的所有方法
+    const covers = (permission, route) =>
+      permission.path === route.path &&
+      (!permission.method || permission.method.toUpperCase() === route.method);
+
+    const missing = routes.filter(
+      (route) =>
+        route.managed && !permissions.some((permission) => covers(permission, route))
+    );
+
+    const orphaned = permissions
+      .filter((permission) => permission.path)
+      .filter((permission) => !routes.some((route) => covers(permission, route)))
+      .map((permission) => ({
+        id: permission.id,
+        code: permission.code,
+        method: permission.method,
+        path: permission.path,
+        status: permission.status
+      }));
+
+    return { missing, orphaned };
+  }
+
+  /**
+   * 为缺少权限的路由创建接口权限，挂在对应资源的菜单下
+   * 路由声明的单个权限代码尚无权限记录时直接使用，否则按路径生成唯一的权限代码；
+   * 新权限授予当前满足路由声明权限的角色，同步后原有用户的访问不受影响
+   * @param {Object} router - 汇总后的 @koa/router 实例
+   * @returns {Object} { created: 新建的权限（含授予的角色代码 roles）, skipped: 跳过的路由及原因, orphaned: 没有对应路由的接口权限 }
+   */
+  async syncMissing(router) {
+    const { missing, orphaned } = await this.getDrift(router);
+    if (missing.length === 0) {
+      return { created: [], skipped: [], orphaned };
+    }
+
+    const permissions = await permissionRepository.findAll({});
+    const usedCodes = new Set(permissions.map((permission) => permission.code));
+
+    // 未声明权限的路由只要求登录，配置后除通配符授权外所有用户都将无法访问
+    const skipped = missing
+      .filter((route) => route.permissions.length === 0)
+      .map((route) => ({ ...route, reason: '路由未声明权限，请手动配置' }));
+    const routes = missing.filter((route) => route.permissions.length > 0);
+
+    // 优先使用路由声明的权限代码，同一代码被多个路由声明时均改为生成
+    const declaredCodes = routes.map((route) => this.getDeclaredCode(route));
+    const codes = declaredCodes.map((code) =>
+      code && !usedCodes.has(code) && declaredCodes.indexOf(code) === declaredCodes.lastIndexOf(code)
+        ? code
+        : null
+    );
+    codes.filter(Boolean).forEach((code) => usedCodes.add(code));
+
+    const rolePermissions = await this.getRolePermissionCodes();
+
+    const created = [];
+    for (const [index, route] of routes.entries()) {
+      const resource = this.getResource(route.path);
+      const code = codes[index] || this.generateCode(route, resource, usedCodes);
+      usedCodes.add(code);
+
+      const permission = await permissionRepository.create({
+        name: `${route.method} ${route.path}`.slice(0, 50),
+        code,
+        type: 'api',
+        parent_id: this.findParentId(route.path, resource, permissions),
+        path: route.path,
+        method: route.method
+      });
+
+      // 授予满足路由声明权限、但尚未拥有新权限的角色（通配符授权已覆盖的不再授予）
+      const roles = rolePermissions.filter(
+        ({ codes: roleCodes }) =>
+          !hasPermission(roleCodes, code) &&
+          route.permissions.some((expression) =>
+            evaluateExpression(expression, (required) => hasPermission(roleCodes, required))
+          )
+      );
+      for (const { role } of roles) {
+        await roleRepository.addPermissions(role.id, [permission.id]);
+      }
+
+      created.push({ ...permission.get({ plain: true }), roles: roles.map(({ role }) => role.code) });
+    }
+
+    // 新权限可能通过上级菜单覆盖下级授予给用户，同时刷新接口权限映射
+    if (created.length > 0) {
+      await authorizationService.invalidatePermissions(created.map((permission) => permission.id));
+      await authorizationService.invalidateApiPermissions();
+    }
+
+    return { created, skipped, orphaned };
+  }
+
+  /**
+   * 获取全部启用角色的有效权限代码（含继承）
+   * @returns {Array} [{ role, codes }]
+   */
+  async getRolePermissionCodes() {
+    const roles = await roleRepository.findAllEnabled();
+    const result = [];
+    for (const role of roles) {
+      const permissions = await roleRepository.getEffectivePermissions(role.id);
+      result.push({ role, codes: permissions.map((permission) => permission.code) });
+    }
+    return result;
+  }
+
+  /**
+   * 获取路由声明的单个权限代码（权限表达式、多个可选权限或通配符返回 null）
+   * @param {Object} route - 路由 { permissions }
+   * @returns {String|null} 权限代码
+   */
+  getDeclaredCode(route) {
+    if (route.permissions.length !== 1) {
+      return null;
+    }
+
+    const node = parseExpression(route.permissions[0]);
+    if (node.type !== 'CODE' || node.value.includes('*')) {
+      return null;
+    }
+
+    return node.value;
+  }
+
+  /**
+   * 从接口路径中解析资源名称，如 `/api/users/:id` 解析为 `users`
+   * @param {String} path - 路由模板
+   * @returns {String|null} 资源名称
+   */
+  getResource(path) {
+    const segments = path.split('/').filter(Boolean);
+    return segments[0] === 'api' && segments[1] ? segments[1] : null;
+  }
+
+  /**
+   * 生成权限代码，如 `POST /api/users/:id/reset-password` 生成 `user:reset-password`，
+   * 与已有代码重复时追加请求方法
+   * @param {Object} route - 路由 { method, path }
+   * @param {String} resource - 资源名称
+   * @param {Set} usedCodes - 已使用的权限代码
+   * @returns {String} 权限代码
+   */
+  generateCode(route, resource, usedCodes) {
+    const prefix = resource ? resource.replace(/s$/, '') : 'api';
+    const actions = route.path
+      .split('/')
+      .filter(Boolean)
+      .slice(resource ? 2 : 0)
+      .filter((segment) => !segment.startsWith(':'));
+    let action = actions.join(':');
+    if (!action) {
+      // 带参数的 GET 路由为详情接口
+      action = route.method === 'GET' && route.path.includes('/:')
+        ? 'detail'
+        : DEFAULT_ACTIONS[route.method] || route.method.toLowerCase();
+    }
+
+    let code = `${prefix}:${action}`;
+    if (usedCodes.has(code)) {
+      code = `${code}:${route.method.toLowerCase()}`;
+    }
+
+    let suffix = 2;
+    const baseCode = code;
+    while (usedCodes.has(code)) {
+      code = `${baseCode}:${suffix++}`;
+    }
+
+    return code;
+  }
+
+  /**
+   * 查找新接口权限的上级菜单：优先沿用同一资源下已有接口权限的上级，其次使用 `资源:manage` 菜单
+   * @param {String} path - 路由模板
+   * @param {String} resource - 资源名称
+   * @param {Array} permissions - 现有权限列表
+   * @returns {Number} 父权限ID，找不到时为0
+   */
+  findParentId(path, resource, permissions) {
+    if (!resource) {
+      return 0;
+    }
+
+    const basePath = `/api/${resource}`;
+    const sibling = permissions.find(
+      (permission) =>
+        permission.type === 'api' &&
+        permission.parent_id > 0 &&
+        permission.path &&
+        (permission.path === basePath || permission.path.startsWith(`${basePath}/`))
+    );
+    if (sibling) {
+      return sibling.parent_id;
+    }
+
+    const menu = permissions.find(
+      (permission) =>
+        permission.type === 'menu' && permission.code === `${resource.replace(/s$/, '')}:manage`
+    );
+    return menu ? menu.id : 0;
+  }
+}
+
+// 导出实例
+module.exports = new PermissionSyncService();
@@ -1,5 +1,7 @@
 const roleRepository = require('../repositories/RoleRepository');
 const permissionRepository = require('../repositories/PermissionRepository');
+const departmentRepository = require('../repositories/DepartmentRepository');
+const authorizationService = require('./AuthorizationService');
 
 class RoleService {
   /**
@@ -18,6 +20,14 @@ class RoleService {
     }
   }
 
+  /**
+   * 获取角色树形结构
+   * @returns {Array} 角色树
+   */
+  async getRoleTree() {
+    return await roleRepository.getRoleTree();
+  }
+
   /**
    * 根据ID获取角色详情
    * @param {Number} id - 角色ID
@@ -32,7 +42,10 @@ class RoleService {
     // 获取角色权限
     const permissions = await roleRepository.getRolePermissions(id);
 
-    return { role, permissions };
+    // 获取自定义数据范围的部门
+    const departmentIds = await roleRepository.getDepartmentIds(id);
+
+    return { role, permissions, department_ids: departmentIds };
   }
 
   /**
@@ -47,6 +60,14 @@ class RoleService {
       throw new Error('角色代码已存在');
     }
 
+    // 如果设置了父角色，检查父角色是否存在
+    if (roleData.parent_id && roleData.parent_id > 0) {
+      const parentRole = await roleRepository.findById(roleData.parent_id);
+      if (!parentRole) {
+        throw new Error('父角色不存在');
+      }
+    }
+
     return await roleRepository.create(roleData);
   }
 
@@ -71,7 +92,32 @@ class RoleService {
       }
     }
 
-    return await roleRepository.updateById(id, updateData);
+    // 如果更新父角色，检查父角色是否存在且不会形成循环继承
+    if (updateData.parent_id !== undefined && updateData.parent_id > 0) {
+      if (updateData.parent_id === parseInt(id)) {
+        throw new Error('不能将自己设置为父角色');
+      }
+      const parentRole = await roleRepository.findById(updateData.parent_id);
+      if (!parentRole) {
+        throw new Error('父角色不存在');
+      }
+      const parentAncestorIds = await roleRepository.getAncestorIds(updateData.parent_id);
+      if (parentAncestorIds.includes(parseInt(id))) {
+        throw new Error('不能将下级角色设置为父角色');
+      }
+    }
+
+    const role = await roleRepository.updateById(id, updateData);
+
+    // 角色状态、代码或父角色变化会影响用户的有效角色和权限
+    const statusChanged = updateData.status !== undefined && updateData.status !== existingRole.status;
+    const codeChanged = updateData.code !== undefined && updateData.code !== existingRole.code;
+    const parentChanged = updateData.parent_id !== undefined && updateData.parent_id !== existingRole.parent_id;
+    if (statusChanged || codeChanged || parentChanged) {
+      await authorizationService.invalidateRoles(id);
+    }
+
+    return role;
   }
 
   /**
@@ -92,7 +138,16 @@ class RoleService {
       throw new Error('该角色下还有用户，无法删除');
     }
 
+    // 检查是否有子角色
+    const childrenCount = await roleRepository.getChildrenCount(id);
+    if (childrenCount > 0) {
+      throw new Error('该角色下还有子角色，无法删除');
+    }
+
+    // 删除后角色关联随之清除，需先记录受影响的用户
+    const userIds = await roleRepository.getUserIds(id);
     const result = await roleRepository.destroyById(id);
+    await authorizationService.invalidateUsers(userIds);
     return result > 0;
   }
 
@@ -117,6 +172,38 @@ class RoleService {
     }
 
     await roleRepository.assignPermissions(id, permissionIds);
+    await authorizationService.invalidateRoles(id);
+  }
+
+  /**
+   * 设置角色的数据范围
+   * @param {Number} id - 角色ID
+   * @param {String} dataScope - 数据范围 all/dept/dept_and_below/self/custom
+   * @param {Array} departmentIds - 自定义数据范围的部门ID数组
+   */
+  async setDataScope(id, dataScope, departmentIds = []) {
+    // 检查角色是否存在
+    const existingRole = await roleRepository.findById(id);
+    if (!existingRole) {
+      throw new Error('角色不存在');
+    }
+
+    // 只有自定义范围需要指定部门，其他范围清空关联部门
+    const scopeDepartmentIds = dataScope === 'custom' ? departmentIds : [];
+    if (dataScope === 'custom' && scopeDepartmentIds.length === 0) {
+      throw new Error('自定义数据范围需要至少指定一个部门');
+    }
+
+    for (const departmentId of scopeDepartmentIds) {
+      const department = await departmentRepository.findById(departmentId);
+      if (!department) {
+        throw new Error(`部门ID ${departmentId} 不存在`);
+      }
+    }
+
+    await roleRepository.updateById(id, { data_scope: dataScope });
+    await roleRepository.assignDepartments(id, scopeDepartmentIds);
+    await authorizationService.invalidateRoles(id);
   }
 }
 
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const redis = require('../config/redis');
+const { jwtConfig } = require('../config/jwt');
+const logger = require('../utils/logger');
+
+// 最后活跃时间的刷新间隔(秒)，避免每个请求都写Redis
+const TOUCH_INTERVAL = 60;
+
+class SessionService {
+  /**
+   * 创建登录会话
+   * @param {Number} userId - 用户ID
+   * @param {Object} client - 客户端信息 { ip, userAgent }
+   * @returns {String} 会话ID
+   */
+  async createSession(userId, client = {}) {
+    const sessionId = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const ttl = jwtConfig.refreshTokenTTL;
+
+    const pipeline = redis.pipeline();
+    pipeline.hset(`session:${sessionId}`, {
+      id: sessionId,
+      user_id: userId,
+      ip: client.ip || '',
+      user_agent: client.userAgent || '',
+      created_at: now,
+      last_seen_at: now
+    });
+    pipeline.expire(`session:${sessionId}`, ttl);
+    pipeline.sadd(`user_sessions:${userId}`, sessionId);
+    pipeline.expire(`user_sessions:${userId}`, ttl);
+    await pipeline.exec();
+
+    return sessionId;
+  }
+
+  /**
+   * 获取会话信息
+   * @param {String} sessionId - 会话ID
+   * @returns {Object|null} 会话信息
+   */
+  async getSession(sessionId) {
+    const session = await redis.hgetall(`session:${sessionId}`);
+    if (!session || !session.id) {
+      return null;
+    }
+
+    session.user_id = parseInt(session.user_id);
+    return session;
+  }
+
+  /**
+   * 检查会话是否有效
+   * @param {String} sessionId - 会话ID
+   * @returns {Boolean} 是否有效
+   */
+  async isSessionActive(sessionId) {
+    return (await redis.exists(`session:${sessionId}`)) === 1;
+  }
+
+  /**
+   * 更新会话最后活跃时间并续期
+   * @param {String} sessionId - 会话ID
+   * @param {String} ip - 客户端IP
+   */
+  async touchSession(sessionId, ip) {
+    const throttled = await redis.set(
+      `session_touch:${sessionId}`,
+      '1',
+      'EX',
+      TOUCH_INTERVAL,
+      'NX'
+    );
+    if (!throttled) {
+      return;
+    }
+
+    const sessionKey = `session:${sessionId}`;
+    const pipeline = redis.pipeline();
+    pipeline.hset(sessionKey, {
+      last_seen_at: new Date().toISOString(),
+      last_seen_ip: ip || ''
+    });
+    pipeline.expire(sessionKey, jwtConfig.refreshTokenTTL);
+    await pipeline.exec();
+  }
+
+  /**
+   * 获取用户的全部有效会话
+   * @param {Number} userId - 用户ID
+   * @returns {Array} 会话列表（按最后活跃时间倒序）
+   */
+  async listSessions(userId) {
+    const sessionIds = await redis.smembers(`user_sessions:${userId}`);
+    const sessions = [];
+
+    for (const sessionId of sessionIds) {
+      const session = await this.getSession(sessionId);
+      if (session) {
+        sessions.push(session);
+      } else {
+        // 清理已过期的会话索引
+        await redis.srem(`user_sessions:${userId}`, sessionId);
+      }
+    }
+
+    return sessions.sort((a, b) => b.last_seen_at.localeCompare(a.last_seen_at));
+  }
+
+  /**
+   * 记录会话下签发的刷新令牌
+   * @param {String} sessionId - 会话ID
+   * @param {String} tokenHash - 刷新令牌哈希
+   */
+  async addRefreshToken(sessionId, tokenHash) {
+    const pipeline = redis.pipeline();
+    pipeline.sadd(`session_refresh_tokens:${sessionId}`, tokenHash);
+    pipeline.expire(`session_refresh_tokens:${sessionId}`, jwtConfig.refreshTokenTTL);
+    await pipeline.exec();
+  }
+
+  /**
+   * 销毁会话及其全部刷新令牌
+   * @param {String} sessionId - 会话ID
+   */
+  async destroySession(sessionId) {
+    const session = await this.getSession(sessionId);
+    const tokenHashes = await redis.smembers(`session_refresh_tokens:${sessionId}`);
+
+    const keys = tokenHashes.map((hash) => `refresh_token:${hash}`);
+    keys.push(`session:${sessionId}`, `session_refresh_tokens:${sessionId}`);
+    await redis.del(keys);
+
+    if (session) {
+      await redis.srem(`user_sessions:${session.user_id}`, sessionId);
+    }
+  }
+
+  /**
+   * 销毁用户的全部会话
+   * @param {Number} userId - 用户ID
+   */
+  async destroyUserSessions(userId) {
+    const sessionIds = await redis.smembers(`user_sessions:${userId}`);
+    for (const sessionId of sessionIds) {
+      await this.destroySession(sessionId);
+    }
+    await redis.del(`user_sessions:${userId}`);
+
+    logger.info(`用户全部会话已销毁 - 用户ID: ${userId}, 会话数: ${sessionIds.length}`);
+  }
+}
+
+// 导出实例
+module.exports = new SessionService();
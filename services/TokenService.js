@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const {
+  generateToken,
+  verifyToken,
+  decodeToken,
+  jwtConfig
+} = require('../config/jwt');
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+const userRepository = require('../repositories/UserRepository');
+const sessionService = require('./SessionService');
+
+// 原子地读取刷新令牌并标记为已使用：令牌不存在时返回空，否则返回全部字段及本次是否标记成功
+// 在同一脚本内完成，避免键在读取和标记之间过期后被 HSETNX 重新创建为永不过期的键
+const CONSUME_REFRESH_TOKEN_SCRIPT = `
+local record = redis.call('HGETALL', KEYS[1])
+if #record == 0 then
+  return nil
+end
+local marked = redis.call('HSETNX', KEYS[1], 'used_at', ARGV[1])
+table.insert(record, 'marked')
+table.insert(record, tostring(marked))
+return record
+`;
+
+class TokenService {
+  /**
+   * 签发访问令牌和刷新令牌
+   * @param {Object} user - 用户信息
+   * @param {String} sessionId - 登录会话ID
+   * @returns {Object} 令牌信息
+   */
+  async issueTokens(user, sessionId) {
+    const token = generateToken({
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      type: 'access',
+      jti: crypto.randomUUID(),
+      sid: sessionId
+    });
+
+    const refreshToken = await this.createRefreshToken(user.id, sessionId);
+
+    const decoded = decodeToken(token);
+
+    return {
+      token,
+      refresh_token: refreshToken,
+      expires_in: decoded.exp - decoded.iat,
+      session_id: sessionId
+    };
+  }
+
+  /**
+   * 签发模拟登录令牌（不可刷新，载荷中同时包含真实操作人和被模拟用户）
+   * @param {Object} user - 被模拟的用户
+   * @param {Number} impersonatorId - 操作的管理员ID
+   * @param {String} expiresIn - 过期时间
+   * @returns {Object} { token, jti, expires_in }
+   */
+  issueImpersonationToken(user, impersonatorId, expiresIn) {
+    const jti = crypto.randomUUID();
+    const token = generateToken(
+      {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        type: 'access',
+        jti,
+        impersonator_id: impersonatorId
+      },
+      expiresIn
+    );
+
+    const decoded = decodeToken(token);
+
+    return {
+      token,
+      jti,
+      expires_in: decoded.exp - decoded.iat
+    };
+  }
+
+  /**
+   * 签发登录中间步骤使用的临时令牌（如等待两步验证）
+   * 临时令牌不能用于访问业务接口
+   * @param {Object} user - 用户信息
+   * @param {String} purpose - 用途
+   * @param {String} expiresIn - 过期时间
+   * @returns {String} 临时令牌
+   */
+  generatePendingToken(user, purpose, expiresIn = '5m') {
+    return generateToken(
+      {
+        id: user.id,
+        type: 'pending',
+        purpose,
+        jti: crypto.randomUUID()
+      },
+      expiresIn
+    );
+  }
+
+  /**
+   * 验证临时令牌
+   * @param {String} token - 临时令牌
+   * @param {String|Array} purposes - 允许的用途
+   * @returns {Object} 令牌载荷
+   */
+  async verifyPendingToken(token, purposes) {
+    let payload;
+    try {
+      payload = verifyToken(token);
+    } catch (error) {
+      throw new Error('验证已过期，请重新登录');
+    }
+
+    const allowed = Array.isArray(purposes) ? purposes : [purposes];
+    if (payload.type !== 'pending' || !allowed.includes(payload.purpose)) {
+      throw new Error('无效的临时令牌');
+    }
+
+    if (await this.isTokenRevoked(payload)) {
+      throw new Error('验证已过期，请重新登录');
+    }
+
+    return payload;
+  }
+
+  /**
+   * 创建刷新令牌并存入Redis
+   * @param {Number} userId - 用户ID
+   * @param {String} sessionId - 会话ID
+   * @returns {String} 刷新令牌
+   */
+  async createRefreshToken(userId, sessionId) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const tokenHash = this.hashToken(refreshToken);
+
+    const pipeline = redis.pipeline();
+    pipeline.hset(`refresh_token:${tokenHash}`, {
+      user_id: userId,
+      session_id: sessionId,
+      created_at: new Date().toISOString()
+    });
+    pipeline.expire(`refresh_token:${tokenHash}`, jwtConfig.refreshTokenTTL);
+    await pipeline.exec();
+
+    await sessionService.addRefreshToken(sessionId, tokenHash);
+
+    return refreshToken;
+  }
+
+  /**
+   * 使用刷新令牌换取新的令牌（轮换）
+   * @param {String} refreshToken - 刷新令牌
+   * @param {String} clientIp - 客户端IP
+   * @returns {Object} 新的令牌信息
+   */
+  async refresh(refreshToken, clientIp) {
+    const tokenHash = this.hashToken(refreshToken);
+    const tokenKey = `refresh_token:${tokenHash}`;
+
+    const fields = await redis.eval(
+      CONSUME_REFRESH_TOKEN_SCRIPT,
+      1,
+      tokenKey,
+      new Date().toISOString()
+    );
+    const record = {};
+    for (let i = 0; fields && i < fields.length; i += 2) {
+      record[fields[i]] = fields[i + 1];
+    }
+    if (!record.session_id) {
+      throw new Error('刷新令牌无效或已过期');
+    }
+
+    // 已被使用过的令牌再次出现视为重放
+    if (record.marked !== '1') {
+      await sessionService.destroySession(record.session_id);
+      logger.warn(
+        `检测到刷新令牌重放，已销毁会话 - 用户ID: ${record.user_id}, 会话ID: ${record.session_id}`
+      );
+      throw new Error('刷新令牌已失效，请重新登录');
+    }
+
+    if (!(await sessionService.isSessionActive(record.session_id))) {
+      throw new Error('登录会话已失效，请重新登录');
+    }
+
+    const user = await userRepository.findById(record.user_id);
+    if (!user || user.status !== 1) {
+      await sessionService.destroySession(record.session_id);
+      throw new Error('用户不存在或已被禁用');
+    }
+
+    await sessionService.touchSession(record.session_id, clientIp);
+
+    return await this.issueTokens(user, record.session_id);
+  }
+
+  /**
+   * 吊销单个访问令牌（保留至令牌自然过期）
+   * @param {Object} payload - 已验证的令牌载荷
+   */
+  async revokeToken(payload) {
+    const ttl = payload.exp - Math.floor(Date.now() / 1000);
+    if (payload.jti && ttl > 0) {
+      await redis.setex(`token_blacklist:${payload.jti}`, ttl, '1');
+    }
+  }
+
+  /**
+   * 吊销用户的全部令牌和会话
+   * @param {Number} userId - 用户ID
+   */
+  async revokeUserTokens(userId) {
+    // 在此时间点（毫秒）及之前签发的访问令牌全部失效，同一秒内随后签发的令牌不受影响
+    await redis.setex(
+      `token_revoked_before:${userId}`,
+      jwtConfig.refreshTokenTTL,
+      Date.now().toString()
+    );
+
+    await sessionService.destroyUserSessions(userId);
+
+    logger.info(`用户全部令牌已吊销 - 用户ID: ${userId}`);
+  }
+
+  /**
+   * 检查访问令牌是否已被吊销
+   * @param {Object} payload - 已验证的令牌载荷
+   * @returns {Boolean} 是否已吊销
+   */
+  async isTokenRevoked(payload) {
+    const [blacklisted, revokedBefore] = await redis.mget(
+      `token_blacklist:${payload.jti}`,
+      `token_revoked_before:${payload.id}`
+    );
+
+    if (blacklisted) {
+      return true;
+    }
+
+    if (revokedBefore === null) {
+      return false;
+    }
+
+    // 旧令牌没有 iat_ms、旧吊销记录为秒级时间戳时，按秒级时间保守判断
+    const issuedAt = payload.iat_ms || payload.iat * 1000;
+    let cutoff = parseInt(revokedBefore);
+    if (cutoff < 1e12) {
+      cutoff = cutoff * 1000 + 999;
+    }
+    return issuedAt <= cutoff;
+  }
+
+  /**
+   * 计算令牌哈希（Redis中不保存令牌明文）
+   * @param {String} token - 令牌
+   * @returns {String} SHA256哈希
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+// 导出实例
+module.exports = new TokenService();
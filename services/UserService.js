@@ -1,5 +1,16 @@
 const userRepository = require('../repositories/UserRepository');
 const roleRepository = require('../repositories/RoleRepository');
+const tokenService = require('./TokenService');
+const sessionService = require('./SessionService');
+const loginGuardService = require('./LoginGuardService');
+const loginLogService = require('./LoginLogService');
+const passwordPolicyService = require('./PasswordPolicyService');
+const emailService = require('./EmailService');
+const authorizationService = require('./AuthorizationService');
+const dataScopeService = require('./DataScopeService');
+const departmentService = require('./DepartmentService');
+const departmentRepository = require('../repositories/DepartmentRepository');
+const logger = require('../utils/logger');
 
 class UserService {
   /**
@@ -7,10 +18,20 @@ class UserService {
    * @param {Number} page - 页码
    * @param {Number} pageSize - 每页数量
    * @param {Object} filters - 过滤条件
+   * @param {Number} currentUserId - 当前用户ID，按其数据范围过滤
    * @returns {Object} 用户列表和总数
    */
-  async getUsers(page, pageSize, filters) {
-    return await userRepository.findUsersPaginated(page, pageSize, filters);
+  async getUsers(page, pageSize, filters, currentUserId) {
+    // 按部门筛选时默认包含全部下级部门
+    if (filters.department_id) {
+      filters.departmentIds = await departmentService.resolveDepartmentIds(
+        filters.department_id,
+        filters.include_children !== false
+      );
+    }
+
+    const dataScope = await dataScopeService.getUserDataScope(currentUserId);
+    return await userRepository.findUsersPaginated(page, pageSize, filters, dataScope);
   }
 
   /**
@@ -27,7 +48,10 @@ class UserService {
     // 获取用户角色
     const roles = await userRepository.getUserRoles(id);
 
-    return { user, roles };
+    // 获取登录锁定状态
+    const lockStatus = await loginGuardService.getLockStatus(id);
+
+    return { user, roles, lock_status: lockStatus };
   }
 
   /**
@@ -52,6 +76,15 @@ class UserService {
       throw new Error('邮箱已存在');
     }
 
+    // 检查密码是否符合安全策略
+    passwordPolicyService.validate(userData.password, userData);
+
+    await this.assertDepartmentExists(userData.department_id);
+
+    if (userData.is_leader && !userData.department_id) {
+      throw new Error('设置部门负责人前请先指定所属部门');
+    }
+
     const user = await userRepository.createUser(userData);
     return await userRepository.findUserById(user.id);
   }
@@ -69,6 +102,11 @@ class UserService {
       throw new Error('用户不存在');
     }
 
+    // 待审核或已拒绝的注册账户只能通过审核接口变更状态
+    if (updateData.status !== undefined && [2, 3].includes(existingUser.status)) {
+      throw new Error('该账户为注册申请，请通过审核接口处理');
+    }
+
     // 如果更新邮箱，检查是否已存在
     if (updateData.email && updateData.email !== existingUser.email) {
       const existingUserByEmail = await userRepository.findByEmail(
@@ -79,7 +117,29 @@ class UserService {
       }
     }
 
+    await this.assertDepartmentExists(updateData.department_id);
+
+    // 调整部门时，未明确指定则取消原部门的负责人身份
+    const departmentChanged = updateData.department_id !== undefined
+      && updateData.department_id !== existingUser.department_id;
+    if (departmentChanged && updateData.is_leader === undefined) {
+      updateData.is_leader = 0;
+    }
+
+    const departmentId = updateData.department_id !== undefined
+      ? updateData.department_id
+      : existingUser.department_id;
+    if (updateData.is_leader && !departmentId) {
+      throw new Error('设置部门负责人前请先指定所属部门');
+    }
+
     await userRepository.updateById(id, updateData);
+
+    // 禁用用户时立即使其所有登录失效
+    if (updateData.status === 0 && existingUser.status !== 0) {
+      await tokenService.revokeUserTokens(id);
+    }
+
     return await userRepository.findUserById(id);
   }
 
@@ -102,6 +162,7 @@ class UserService {
     }
 
     const result = await userRepository.destroyById(id);
+    await authorizationService.invalidateUsers(id);
     return result > 0;
   }
 
@@ -126,6 +187,80 @@ class UserService {
     }
 
     await userRepository.assignRoles(id, roleIds);
+    await authorizationService.invalidateUsers(id);
+  }
+
+  /**
+   * 吊销用户的全部令牌（强制下线）
+   * @param {Number} id - 用户ID
+   */
+  async revokeUserTokens(id) {
+    // 检查用户是否存在
+    const existingUser = await userRepository.findUserById(id);
+    if (!existingUser) {
+      throw new Error('用户不存在');
+    }
+
+    await tokenService.revokeUserTokens(id);
+  }
+
+  /**
+   * 获取用户的登录会话列表
+   * @param {Number} id - 用户ID
+   * @returns {Array} 会话列表
+   */
+  async getUserSessions(id) {
+    // 检查用户是否存在
+    const existingUser = await userRepository.findUserById(id);
+    if (!existingUser) {
+      throw new Error('用户不存在');
+    }
+
+    return await sessionService.listSessions(id);
+  }
+
+  /**
+   * 分页获取用户的登录记录
+   * @param {Number} id - 用户ID
+   * @param {Object} query - 分页参数 { page, pageSize }
+   * @returns {Object} 登录记录列表
+   */
+  async getUserLoginHistory(id, query) {
+    // 检查用户是否存在
+    const existingUser = await userRepository.findUserById(id);
+    if (!existingUser) {
+      throw new Error('用户不存在');
+    }
+
+    return await loginLogService.getUserLoginHistory(id, query);
+  }
+
+  /**
+   * 强制注销用户的指定会话
+   * @param {Number} id - 用户ID
+   * @param {String} sessionId - 会话ID
+   */
+  async revokeUserSession(id, sessionId) {
+    const session = await sessionService.getSession(sessionId);
+    if (!session || session.user_id !== parseInt(id)) {
+      throw new Error('会话不存在');
+    }
+
+    await sessionService.destroySession(sessionId);
+  }
+
+  /**
+   * 解除用户登录锁定
+   * @param {Number} id - 用户ID
+   */
+  async unlockUser(id) {
+    // 检查用户是否存在
+    const existingUser = await userRepository.findUserById(id);
+    if (!existingUser) {
+      throw new Error('用户不存在');
+    }
+
+    await loginGuardService.unlock(id);
   }
 
   /**
@@ -134,13 +269,132 @@ class UserService {
    * @param {String} newPassword - 新密码
    */
   async resetPassword(id, newPassword) {
-    // 检查用户是否存在
-    const existingUser = await userRepository.findUserById(id);
+    // 检查用户是否存在（需包含密码哈希用于历史比对）
+    const existingUser = await userRepository.findById(id);
     if (!existingUser) {
       throw new Error('用户不存在');
     }
 
-    await userRepository.updatePassword(id, newPassword);
+    await passwordPolicyService.changePassword(existingUser, newPassword);
+  }
+
+  /**
+   * 获取待审核的注册申请
+   * @param {Number} page - 页码
+   * @param {Number} pageSize - 每页数量
+   * @returns {Object} 用户列表和总数
+   */
+  async getPendingRegistrations(page, pageSize) {
+    return await userRepository.findUsersPaginated(page, pageSize, { status: 2 });
+  }
+
+  /**
+   * 审核通过注册申请并分配角色
+   * @param {Number} id - 用户ID
+   * @param {Array} roleIds - 角色ID数组
+   * @param {Number} reviewerId - 审核人ID
+   * @param {Object} apiKey - 通过API密钥调用时的密钥信息
+   * @returns {Object} 用户信息
+   */
+  async approveRegistration(id, roleIds, reviewerId, apiKey = null) {
+    const user = await this.findPendingRegistration(id);
+
+    for (const roleId of roleIds) {
+      const role = await roleRepository.findById(roleId);
+      if (!role) {
+        throw new Error(`角色ID ${roleId} 不存在`);
+      }
+    }
+    await authorizationService.assertCanAssignRoles(reviewerId, roleIds, apiKey);
+
+    // 启用账户和分配角色在同一事务中完成，避免账户启用后没有角色
+    await userRepository.transaction(async (transaction) => {
+      // 以待审核状态为条件更新，防止同一申请被并发重复审核
+      const [affected] = await userRepository.update(
+        {
+          status: 1,
+          reviewed_by: reviewerId,
+          reviewed_at: new Date(),
+          review_reason: null
+        },
+        { id, status: 2 },
+        { transaction }
+      );
+      if (!affected) {
+        throw new Error('该用户不是待审核的注册申请');
+      }
+
+      await userRepository.assignRoles(id, roleIds, { transaction });
+    });
+    await authorizationService.invalidateUsers(id);
+
+    logger.info(`注册申请审核通过 - 审核人ID: ${reviewerId}, 用户ID: ${id}`);
+
+    const loginUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/login`;
+    emailService
+      .sendRegistrationApprovedEmail(user.email, user.username, loginUrl)
+      .catch((error) => logger.error('发送注册审核通过邮件失败:', error));
+
+    return await userRepository.findUserById(id);
+  }
+
+  /**
+   * 拒绝注册申请
+   * @param {Number} id - 用户ID
+   * @param {String} reason - 拒绝原因
+   * @param {Number} reviewerId - 审核人ID
+   * @returns {Object} 用户信息
+   */
+  async rejectRegistration(id, reason, reviewerId) {
+    const user = await this.findPendingRegistration(id);
+
+    await userRepository.updateById(id, {
+      status: 3,
+      reviewed_by: reviewerId,
+      reviewed_at: new Date(),
+      review_reason: reason
+    });
+
+    logger.info(`注册申请审核拒绝 - 审核人ID: ${reviewerId}, 用户ID: ${id}, 原因: ${reason}`);
+
+    emailService
+      .sendRegistrationRejectedEmail(user.email, user.username, reason)
+      .catch((error) => logger.error('发送注册审核拒绝邮件失败:', error));
+
+    return await userRepository.findUserById(id);
+  }
+
+  /**
+   * 查找待审核的注册申请
+   * @param {Number} id - 用户ID
+   * @returns {Object} 用户信息
+   */
+  async findPendingRegistration(id) {
+    const user = await userRepository.findUserById(id);
+    if (!user) {
+      throw new Error('用户不存在');
+    }
+
+    if (user.status !== 2) {
+      throw new Error('该用户不是待审核的注册申请');
+    }
+
+    return user;
+  }
+
+  /**
+   * 检查部门是否存在（未指定部门时跳过）
+   * @param {Number|null} departmentId - 部门ID
+   */
+  async assertDepartmentExists(departmentId) {
+    if (!departmentId) {
+      return;
+    }
+
+    const department = await departmentRepository.findById(departmentId);
+    if (!department) {
+      throw new Error('部门不存在');
+    }
   }
 }
 
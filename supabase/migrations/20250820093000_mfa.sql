@@ -0,0 +1,12 @@
+-- 两步验证 (TOTP)
+
+ALTER TABLE `users`
+  ADD COLUMN `mfa_enabled` tinyint(1) NOT NULL DEFAULT 0 COMMENT '是否启用两步验证: 1-启用, 0-未启用' AFTER `last_login_ip`,
+  ADD COLUMN `mfa_secret` varchar(64) DEFAULT NULL COMMENT '两步验证TOTP密钥' AFTER `mfa_enabled`,
+  ADD COLUMN `mfa_recovery_codes` text DEFAULT NULL COMMENT '两步验证恢复码哈希(JSON数组)' AFTER `mfa_secret`;
+
+ALTER TABLE `roles`
+  ADD COLUMN `mfa_required` tinyint(1) NOT NULL DEFAULT 0 COMMENT '是否强制两步验证: 1-是, 0-否' AFTER `description`;
+
+-- 超级管理员必须启用两步验证
+UPDATE `roles` SET `mfa_required` = 1 WHERE `code` = 'super_admin';
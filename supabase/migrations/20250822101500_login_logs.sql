@@ -0,0 +1,15 @@
+-- 登录日志表
+CREATE TABLE `login_logs` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) DEFAULT NULL COMMENT '用户ID（账号不存在时为空）',
+  `email` varchar(100) NOT NULL COMMENT '登录邮箱',
+  `ip` varchar(45) DEFAULT NULL COMMENT '登录IP',
+  `user_agent` varchar(500) DEFAULT NULL COMMENT '客户端User-Agent',
+  `status` tinyint(1) NOT NULL COMMENT '结果: 1-成功, 0-失败',
+  `reason` varchar(255) DEFAULT NULL COMMENT '失败原因',
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP COMMENT '登录时间',
+  PRIMARY KEY (`id`),
+  KEY `idx_user_id_created_at` (`user_id`, `created_at`),
+  KEY `idx_email` (`email`),
+  CONSTRAINT `fk_login_logs_user_id` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='登录日志表';
@@ -0,0 +1,18 @@
+-- 密码策略：密码历史与有效期
+
+ALTER TABLE `users`
+  ADD COLUMN `password_changed_at` datetime DEFAULT NULL COMMENT '密码最后修改时间' AFTER `mfa_recovery_codes`;
+
+-- 已有用户从上线时开始计算密码有效期
+UPDATE `users` SET `password_changed_at` = CURRENT_TIMESTAMP WHERE `password_changed_at` IS NULL;
+
+-- 密码历史表
+CREATE TABLE `password_histories` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) NOT NULL COMMENT '用户ID',
+  `password` varchar(255) NOT NULL COMMENT '历史密码哈希',
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  PRIMARY KEY (`id`),
+  KEY `idx_user_id_created_at` (`user_id`, `created_at`),
+  CONSTRAINT `fk_password_histories_user_id` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='密码历史表';
@@ -0,0 +1,20 @@
+-- API密钥表（供ERP、仓储等系统集成调用）
+CREATE TABLE `api_keys` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) NOT NULL COMMENT '所属用户ID',
+  `name` varchar(50) NOT NULL COMMENT '密钥名称',
+  `prefix` varchar(16) NOT NULL COMMENT '密钥前缀（用于识别，不可用于认证）',
+  `key_hash` varchar(64) NOT NULL COMMENT '密钥SHA256哈希',
+  `permissions` text NOT NULL COMMENT '授权的权限代码(JSON数组)',
+  `allowed_ips` text DEFAULT NULL COMMENT '允许访问的IP或CIDR(JSON数组)，为空表示不限制',
+  `expires_at` datetime DEFAULT NULL COMMENT '过期时间，为空表示永不过期',
+  `last_used_at` datetime DEFAULT NULL COMMENT '最后使用时间',
+  `last_used_ip` varchar(45) DEFAULT NULL COMMENT '最后使用IP',
+  `status` tinyint(1) NOT NULL DEFAULT 1 COMMENT '状态: 1-启用, 0-已吊销',
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  `updated_at` timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_key_hash` (`key_hash`),
+  KEY `idx_user_id` (`user_id`),
+  CONSTRAINT `fk_api_keys_user_id` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='API密钥表';
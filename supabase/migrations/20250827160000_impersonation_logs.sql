@@ -0,0 +1,18 @@
+-- 模拟登录日志表
+CREATE TABLE `impersonation_logs` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `impersonator_id` int(11) NOT NULL COMMENT '操作的管理员ID',
+  `user_id` int(11) NOT NULL COMMENT '被模拟的用户ID',
+  `action` varchar(10) NOT NULL COMMENT '动作: start-开始, stop-结束',
+  `token_id` varchar(36) NOT NULL COMMENT '模拟令牌ID(jti)',
+  `reason` varchar(255) DEFAULT NULL COMMENT '模拟原因',
+  `ip` varchar(45) DEFAULT NULL COMMENT '操作IP',
+  `user_agent` varchar(500) DEFAULT NULL COMMENT '客户端User-Agent',
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP COMMENT '操作时间',
+  PRIMARY KEY (`id`),
+  KEY `idx_user_id_created_at` (`user_id`, `created_at`),
+  KEY `idx_impersonator_id_created_at` (`impersonator_id`, `created_at`),
+  KEY `idx_token_id` (`token_id`),
+  CONSTRAINT `fk_impersonation_logs_impersonator_id` FOREIGN KEY (`impersonator_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_impersonation_logs_user_id` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='模拟登录日志表';
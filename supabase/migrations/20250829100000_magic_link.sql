@@ -0,0 +1,4 @@
+-- 邮件快捷登录（用户自行开启）
+
+ALTER TABLE `users`
+  ADD COLUMN `magic_link_enabled` tinyint(1) NOT NULL DEFAULT 0 COMMENT '是否开启邮件快捷登录: 1-开启, 0-关闭' AFTER `password_changed_at`;
@@ -0,0 +1,20 @@
+-- 用户邀请表
+CREATE TABLE `invitations` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `email` varchar(100) NOT NULL COMMENT '受邀邮箱',
+  `role_ids` text NOT NULL COMMENT '接受邀请后分配的角色ID(JSON数组)',
+  `token_hash` varchar(64) NOT NULL COMMENT '邀请令牌SHA256哈希',
+  `status` varchar(20) NOT NULL DEFAULT 'pending' COMMENT '状态: pending-待接受, accepted-已接受, revoked-已撤销',
+  `invited_by` int(11) DEFAULT NULL COMMENT '邀请人ID',
+  `expires_at` datetime NOT NULL COMMENT '过期时间',
+  `accepted_at` datetime DEFAULT NULL COMMENT '接受时间',
+  `user_id` int(11) DEFAULT NULL COMMENT '接受邀请后创建的用户ID',
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  `updated_at` timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_token_hash` (`token_hash`),
+  KEY `idx_email` (`email`),
+  KEY `idx_status_expires_at` (`status`, `expires_at`),
+  CONSTRAINT `fk_invitations_invited_by` FOREIGN KEY (`invited_by`) REFERENCES `users` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `fk_invitations_user_id` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='用户邀请表';
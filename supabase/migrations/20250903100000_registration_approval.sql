@@ -0,0 +1,16 @@
+-- 注册审核：待审核(2)与审核拒绝(3)状态
+
+ALTER TABLE `users`
+  MODIFY COLUMN `status` tinyint(1) DEFAULT 1 COMMENT '状态: 1-启用, 0-禁用, 2-待审核, 3-审核拒绝',
+  ADD COLUMN `reviewed_by` int(11) DEFAULT NULL COMMENT '注册审核人ID' AFTER `magic_link_enabled`,
+  ADD COLUMN `reviewed_at` datetime DEFAULT NULL COMMENT '注册审核时间' AFTER `reviewed_by`,
+  ADD COLUMN `review_reason` varchar(255) DEFAULT NULL COMMENT '注册审核拒绝原因' AFTER `reviewed_at`;
+
+-- 注册审核权限
+INSERT INTO `permissions` (`name`, `code`, `type`, `parent_id`, `path`, `method`)
+SELECT '审核注册', 'user:approve', 'api', `id`, '/api/users/:id/approve', 'POST'
+FROM `permissions` WHERE `code` = 'user:manage';
+
+INSERT INTO `role_permissions` (`role_id`, `permission_id`)
+SELECT r.`id`, p.`id` FROM `roles` r, `permissions` p
+WHERE r.`code` = 'super_admin' AND p.`code` = 'user:approve';
@@ -0,0 +1,5 @@
+-- 角色继承：子角色继承所有上级角色的权限
+
+ALTER TABLE `roles`
+  ADD COLUMN `parent_id` int(11) NOT NULL DEFAULT 0 COMMENT '父角色ID，子角色继承所有上级角色的权限' AFTER `description`,
+  ADD KEY `idx_parent_id` (`parent_id`);
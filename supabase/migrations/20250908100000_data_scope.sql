@@ -0,0 +1,34 @@
+-- 数据范围（行级权限）：部门、用户所属部门、角色数据范围
+
+-- 部门表
+CREATE TABLE `departments` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `name` varchar(50) NOT NULL COMMENT '部门名称',
+  `parent_id` int(11) NOT NULL DEFAULT 0 COMMENT '父部门ID',
+  `sort_order` int(11) NOT NULL DEFAULT 0 COMMENT '排序',
+  `status` tinyint(1) DEFAULT 1 COMMENT '状态: 1-启用, 0-禁用',
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  `updated_at` timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+  PRIMARY KEY (`id`),
+  KEY `idx_parent_id` (`parent_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='部门表';
+
+ALTER TABLE `users`
+  ADD COLUMN `department_id` int(11) DEFAULT NULL COMMENT '所属部门ID' AFTER `avatar`,
+  ADD KEY `idx_department_id` (`department_id`),
+  ADD CONSTRAINT `fk_users_department_id` FOREIGN KEY (`department_id`) REFERENCES `departments` (`id`) ON DELETE SET NULL;
+
+ALTER TABLE `roles`
+  ADD COLUMN `data_scope` varchar(20) NOT NULL DEFAULT 'all' COMMENT '数据范围: all-全部, dept-本部门, dept_and_below-本部门及以下, self-仅本人, custom-自定义部门' AFTER `parent_id`;
+
+-- 角色自定义数据范围部门关联表
+CREATE TABLE `role_departments` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `role_id` int(11) NOT NULL COMMENT '角色ID',
+  `department_id` int(11) NOT NULL COMMENT '部门ID',
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `unique_role_department` (`role_id`, `department_id`),
+  CONSTRAINT `fk_role_departments_role_id` FOREIGN KEY (`role_id`) REFERENCES `roles` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_role_departments_department_id` FOREIGN KEY (`department_id`) REFERENCES `departments` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='角色自定义数据范围部门关联表';
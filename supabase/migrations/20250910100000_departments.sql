@@ -0,0 +1,20 @@
+-- 部门管理：部门负责人与部门管理权限
+
+ALTER TABLE `users`
+  ADD COLUMN `is_leader` tinyint(1) NOT NULL DEFAULT 0 COMMENT '是否为所属部门负责人: 1-是, 0-否' AFTER `department_id`;
+
+INSERT INTO `permissions` (`name`, `code`, `type`, `parent_id`, `path`, `method`) VALUES
+('部门管理', 'department:manage', 'menu', 0, '/department', NULL);
+
+INSERT INTO `permissions` (`name`, `code`, `type`, `parent_id`, `path`, `method`)
+SELECT '部门列表', 'department:list', 'api', `id`, '/api/departments', 'GET' FROM `permissions` WHERE `code` = 'department:manage'
+UNION ALL
+SELECT '创建部门', 'department:create', 'api', `id`, '/api/departments', 'POST' FROM `permissions` WHERE `code` = 'department:manage'
+UNION ALL
+SELECT '更新部门', 'department:update', 'api', `id`, '/api/departments/:id', 'PUT' FROM `permissions` WHERE `code` = 'department:manage'
+UNION ALL
+SELECT '删除部门', 'department:delete', 'api', `id`, '/api/departments/:id', 'DELETE' FROM `permissions` WHERE `code` = 'department:manage';
+
+INSERT INTO `role_permissions` (`role_id`, `permission_id`)
+SELECT r.`id`, p.`id` FROM `roles` r, `permissions` p
+WHERE r.`code` = 'super_admin' AND p.`code` LIKE 'department:%';
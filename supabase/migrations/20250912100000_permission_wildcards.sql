@@ -0,0 +1,12 @@
+-- 通配符与层级权限：菜单可配置为覆盖全部下级权限
+
+ALTER TABLE `permissions`
+  ADD COLUMN `cover_children` tinyint(1) NOT NULL DEFAULT 0 COMMENT '授予该权限时是否同时授予全部下级权限: 1-是, 0-否' AFTER `sort_order`;
+
+-- 全部权限（通配符），超级管理员自动拥有后续新增的权限
+INSERT INTO `permissions` (`name`, `code`, `type`, `parent_id`, `path`, `method`) VALUES
+('全部权限', '*', 'api', 0, NULL, NULL);
+
+INSERT INTO `role_permissions` (`role_id`, `permission_id`)
+SELECT r.`id`, p.`id` FROM `roles` r, `permissions` p
+WHERE r.`code` = 'super_admin' AND p.`code` = '*';
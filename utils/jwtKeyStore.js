@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const encryption = require('./encryption');
+const logger = require('./logger');
+require('dotenv').config();
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// 遇到未知kid时重新读取密钥文件的最小间隔，防止伪造kid频繁触发磁盘读取
+const RELOAD_INTERVAL = 10 * 1000;
+
+/**
+ * JWT签名密钥库
+ * 密钥对以JSON文件形式保存在密钥目录中，多实例部署时该目录需共享
+ */
+class JwtKeyStore {
+  constructor() {
+    this.keysDir = process.env.JWT_KEYS_DIR || path.join(__dirname, '../keys');
+    this.keysFile = path.join(this.keysDir, 'jwt-keys.json');
+    this.keySize = 2048;
+    this.rotationInterval = (parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30) * DAY; // 轮换周期
+    this.retention = (parseInt(process.env.JWT_KEY_RETENTION_HOURS) || 24) * HOUR; // 轮换后旧密钥保留时长
+    this.keys = null;
+    this.loadedAt = 0;
+    this.timer = null;
+  }
+
+  /**
+   * 获取当前用于签名的密钥（最新的密钥）
+   * @returns {Object} { kid, privateKey, publicKey }
+   */
+  getSigningKey() {
+    const keys = this.getKeys();
+    return keys[keys.length - 1];
+  }
+
+  /**
+   * 根据kid获取验证密钥，本地不存在时重新读取密钥文件（可能已被其他实例轮换），
+   * 两次读取至少间隔 RELOAD_INTERVAL
+   * @param {String} kid - 密钥ID
+   * @returns {Object|null} 密钥
+   */
+  getVerificationKey(kid) {
+    const find = () => this.getKeys().find((key) => key.kid === kid) || null;
+
+    let key = find();
+    if (!key && Date.now() - this.loadedAt >= RELOAD_INTERVAL) {
+      this.load();
+      key = find();
+    }
+    return key;
+  }
+
+  /**
+   * 导出全部有效公钥（JWKS格式）
+   * @returns {Object} { keys: [...] }
+   */
+  getJwks() {
+    return {
+      keys: this.getKeys().map((key) => ({
+        ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+        kid: key.kid,
+        use: 'sig',
+        alg: 'RS256'
+      }))
+    };
+  }
+
+  /**
+   * 获取全部有效密钥（按创建时间升序），首次使用时加载或生成
+   * @returns {Array} 密钥列表
+   */
+  getKeys() {
+    if (!this.keys) {
+      this.load();
+    }
+    if (this.keys.length === 0) {
+      this.rotate();
+    }
+    return this.keys;
+  }
+
+  /**
+   * 从密钥文件加载密钥并清理已过保留期的旧密钥
+   */
+  load() {
+    let keys = [];
+    if (fs.existsSync(this.keysFile)) {
+      keys = JSON.parse(fs.readFileSync(this.keysFile, 'utf8')).keys || [];
+    }
+
+    const now = Date.now();
+    this.loadedAt = now;
+    this.keys = keys.filter(
+      (key) => !key.rotated_at || new Date(key.rotated_at).getTime() + this.retention > now
+    );
+  }
+
+  /**
+   * 生成新的签名密钥，旧密钥保留一段时间用于验证已签发的令牌
+   */
+  rotate() {
+    // 以文件中的最新状态为准，避免覆盖其他实例的轮换结果
+    this.load();
+
+    const now = new Date().toISOString();
+    const { publicKey, privateKey } = encryption.generateRSAKeyPair(this.keySize);
+    const kid = crypto
+      .createHash('sha256')
+      .update(publicKey)
+      .digest('base64url')
+      .slice(0, 16);
+
+    this.keys.forEach((key) => {
+      key.rotated_at = key.rotated_at || now;
+    });
+    this.keys.push({ kid, publicKey, privateKey, created_at: now });
+
+    this.save();
+    logger.info(`JWT签名密钥已轮换 - kid: ${kid}`);
+  }
+
+  /**
+   * 当前签名密钥超过轮换周期时生成新密钥
+   */
+  rotateIfNeeded() {
+    this.load();
+    const current = this.keys[this.keys.length - 1];
+
+    if (!current || Date.now() - new Date(current.created_at).getTime() >= this.rotationInterval) {
+      this.rotate();
+    }
+  }
+
+  /**
+   * 启动定时轮换
+   * @param {Number} checkInterval - 检查间隔(毫秒)
+   */
+  startRotation(checkInterval = HOUR) {
+    if (this.timer) {
+      return;
+    }
+
+    const check = () => {
+      try {
+        this.rotateIfNeeded();
+      } catch (error) {
+        logger.error('JWT签名密钥轮换失败:', error);
+      }
+    };
+
+    check();
+    this.timer = setInterval(check, checkInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * 停止定时轮换
+   */
+  stopRotation() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 写入密钥文件（先写临时文件再重命名，保证原子性）
+   */
+  save() {
+    fs.mkdirSync(this.keysDir, { recursive: true, mode: 0o700 });
+
+    const tmpFile = `${this.keysFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ keys: this.keys }, null, 2), {
+      mode: 0o600
+    });
+    fs.renameSync(tmpFile, this.keysFile);
+  }
+}
+
+// 导出实例
+module.exports = new JwtKeyStore();
@@ -0,0 +1,203 @@
+// 权限代码分隔符，约定格式为 资源:操作（可多级，如 user:profile:update）
+const SEPARATOR = ':';
+const WILDCARD = '*';
+
+/**
+ * 判断已授予的权限代码是否覆盖所需权限
+ * 支持通配符：`*` 匹配全部权限；`user:*` 匹配 user 下任意层级的权限；
+ * 中间段的 `*` 只匹配一段，如 `*:list` 匹配 `user:list`、`role:list`
+ * @param {String} granted - 已授予的权限代码
+ * @param {String} required - 所需权限代码
+ * @returns {Boolean} 是否匹配
+ */
+function matchPermission(granted, required) {
+  if (granted === required || granted === WILDCARD) {
+    return true;
+  }
+
+  if (!granted.includes(WILDCARD)) {
+    return false;
+  }
+
+  const grantedParts = granted.split(SEPARATOR);
+  const requiredParts = required.split(SEPARATOR);
+
+  for (let i = 0; i < grantedParts.length; i++) {
+    const part = grantedParts[i];
+    const isLast = i === grantedParts.length - 1;
+
+    // 末尾的通配符匹配剩余的一段或多段
+    if (part === WILDCARD && isLast) {
+      return requiredParts.length > i;
+    }
+
+    if (i >= requiredParts.length) {
+      return false;
+    }
+
+    if (part !== WILDCARD && part !== requiredParts[i]) {
+      return false;
+    }
+  }
+
+  return grantedParts.length === requiredParts.length;
+}
+
+/**
+ * 判断权限代码列表中是否有任一代码覆盖所需权限
+ * @param {Array} grantedCodes - 已授予的权限代码数组
+ * @param {String} required - 所需权限代码
+ * @returns {Boolean} 是否拥有权限
+ */
+function hasPermission(grantedCodes, required) {
+  return grantedCodes.some((granted) => matchPermission(granted, required));
+}
+
+// 已解析的权限表达式缓存，表达式通常在路由定义时固定
+const expressionCache = new Map();
+
+/**
+ * 将权限表达式拆分为词法单元
+ * @param {String} expression - 权限表达式
+ * @returns {Array} 词法单元数组
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(\(|\)|&&|\|\||!|[\w:*-]+)/y;
+  let match;
+
+  pattern.lastIndex = 0;
+  while (pattern.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(pattern.lastIndex))) {
+      break;
+    }
+
+    match = pattern.exec(expression);
+    if (!match) {
+      throw new Error(`权限表达式语法错误: ${expression}`);
+    }
+
+    const value = match[1];
+    const upper = value.toUpperCase();
+    if (upper === 'AND' || value === '&&') {
+      tokens.push({ type: 'AND' });
+    } else if (upper === 'OR' || value === '||') {
+      tokens.push({ type: 'OR' });
+    } else if (upper === 'NOT' || value === '!') {
+      tokens.push({ type: 'NOT' });
+    } else if (value === '(' || value === ')') {
+      tokens.push({ type: value });
+    } else {
+      tokens.push({ type: 'CODE', value });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * 解析权限表达式
+ * 支持 AND / OR / NOT（或 && / || / !）和括号，优先级 NOT > AND > OR，
+ * 如 `user:update AND role:list`、`(user:* OR role:*) AND NOT user:delete`
+ * @param {String} expression - 权限表达式
+ * @returns {Object} 语法树
+ */
+function parseExpression(expression) {
+  if (expressionCache.has(expression)) {
+    return expressionCache.get(expression);
+  }
+
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const fail = () => {
+    throw new Error(`权限表达式语法错误: ${expression}`);
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (peek() && peek().type === 'OR') {
+      position++;
+      node = { type: 'OR', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (peek() && peek().type === 'AND') {
+      position++;
+      node = { type: 'AND', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (peek() && peek().type === 'NOT') {
+      position++;
+      return { type: 'NOT', operand: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      fail();
+    }
+
+    if (token.type === '(') {
+      position++;
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') {
+        fail();
+      }
+      position++;
+      return node;
+    }
+
+    if (token.type !== 'CODE') {
+      fail();
+    }
+
+    position++;
+    return { type: 'CODE', value: token.value };
+  };
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    fail();
+  }
+
+  expressionCache.set(expression, ast);
+  return ast;
+}
+
+/**
+ * 计算权限表达式
+ * @param {String|Object} expression - 权限表达式或已解析的语法树
+ * @param {Function} check - 判断单个权限代码是否满足的函数
+ * @returns {Boolean} 表达式结果
+ */
+function evaluateExpression(expression, check) {
+  const node = typeof expression === 'string' ? parseExpression(expression) : expression;
+
+  switch (node.type) {
+    case 'AND':
+      return evaluateExpression(node.left, check) && evaluateExpression(node.right, check);
+    case 'OR':
+      return evaluateExpression(node.left, check) || evaluateExpression(node.right, check);
+    case 'NOT':
+      return !evaluateExpression(node.operand, check);
+    default:
+      return check(node.value);
+  }
+}
+
+module.exports = {
+  matchPermission,
+  hasPermission,
+  parseExpression,
+  evaluateExpression
+};
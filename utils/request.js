@@ -0,0 +1,18 @@
+/**
+ * 获取客户端信息
+ * @param {Object} ctx - Koa上下文
+ * @returns {Object} 客户端信息 { ip, userAgent }
+ */
+function getClientInfo(ctx) {
+  return {
+    ip:
+      ctx.request.ip ||
+      ctx.request.header['x-forwarded-for'] ||
+      ctx.request.socket.remoteAddress,
+    userAgent: ctx.request.header['user-agent'] || ''
+  };
+}
+
+module.exports = {
+  getClientInfo
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * TOTP 一次性密码工具类 (RFC 6238)
+ */
+class TotpUtil {
+  constructor() {
+    this.digits = 6;
+    this.period = 30; // 时间步长(秒)
+    this.algorithm = 'sha1';
+  }
+
+  /**
+   * 生成随机密钥
+   * @param {Number} length - 字节长度
+   * @returns {String} Base32编码的密钥
+   */
+  generateSecret(length = 20) {
+    return this.base32Encode(crypto.randomBytes(length));
+  }
+
+  /**
+   * 计算指定时间步的一次性密码
+   * @param {String} secret - Base32编码的密钥
+   * @param {Number} counter - 时间步计数
+   * @returns {String} 一次性密码
+   */
+  generateAt(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto
+      .createHmac(this.algorithm, this.base32Decode(secret))
+      .update(buffer)
+      .digest();
+
+    // 动态截断 (RFC 4226)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary =
+      ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return (binary % 10 ** this.digits).toString().padStart(this.digits, '0');
+  }
+
+  /**
+   * 生成当前时间的一次性密码
+   * @param {String} secret - Base32编码的密钥
+   * @returns {String} 一次性密码
+   */
+  generate(secret) {
+    return this.generateAt(secret, this.currentCounter());
+  }
+
+  /**
+   * 验证一次性密码
+   * @param {String} secret - Base32编码的密钥
+   * @param {String} token - 用户输入的密码
+   * @param {Number} window - 允许的前后时间步偏差
+   * @returns {Number|null} 匹配的时间步计数，不匹配返回null
+   */
+  verify(secret, token, window = 1) {
+    if (!token || !/^\d+$/.test(token) || token.length !== this.digits) {
+      return null;
+    }
+
+    const counter = this.currentCounter();
+    for (let i = -window; i <= window; i++) {
+      const expected = this.generateAt(secret, counter + i);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+        return counter + i;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 获取当前时间步计数
+   * @returns {Number} 时间步计数
+   */
+  currentCounter() {
+    return Math.floor(Date.now() / 1000 / this.period);
+  }
+
+  /**
+   * 生成认证器App可识别的otpauth链接
+   * @param {String} secret - Base32编码的密钥
+   * @param {String} account - 账户名
+   * @param {String} issuer - 发行方
+   * @returns {String} otpauth链接
+   */
+  keyUri(secret, account, issuer) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: this.algorithm.toUpperCase(),
+      digits: this.digits.toString(),
+      period: this.period.toString()
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Base32编码
+   * @param {Buffer} buffer - 原始数据
+   * @returns {String} Base32字符串
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Base32解码
+   * @param {String} encoded - Base32字符串
+   * @returns {Buffer} 原始数据
+   */
+  base32Decode(encoded) {
+    const cleaned = encoded.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error(`无效的Base32字符: ${char}`);
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+}
+
+// 导出实例
+module.exports = new TotpUtil();
@@ -46,21 +46,33 @@ const commonSchemas = {
   })
 };
 
+// 新密码只限制最大长度，具体规则由密码策略服务校验
+const newPassword = Joi.string().max(128);
+
+// 图形验证码字段，由验证码中间件校验
+const captchaFields = {
+  captcha_id: Joi.string().guid().optional(),
+  captcha_code: Joi.string().max(10).optional()
+};
+
 // 用户相关验证规则
 const userSchemas = {
   login: Joi.object({
     email: Joi.string().email().max(50).required(),
-    password: Joi.string().min(6).max(50).required()
+    // 只限制最大长度，不能比密码策略更严格，否则按策略设置的密码无法登录
+    password: Joi.string().max(128).required(),
+    ...captchaFields
   }),
 
   register: Joi.object({
     username: Joi.string().min(3).max(50).required(),
     email: Joi.string().email().required(),
-    password: Joi.string().min(6).max(50).required(),
+    password: newPassword.required(),
     real_name: Joi.string().max(50).optional(),
     phone: Joi.string()
       .pattern(/^1[3-9]\d{9}$/)
-      .optional()
+      .optional(),
+    ...captchaFields
   }),
 
   verifyEmail: Joi.object({
@@ -69,18 +81,78 @@ const userSchemas = {
   }),
 
   resendVerification: Joi.object({
+    email: Joi.string().email().required(),
+    ...captchaFields
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  resetPassword: Joi.object({
+    email: Joi.string().email().required(),
+    code: Joi.string().length(6).pattern(/^\d+$/).required(),
+    new_password: newPassword.required()
+  }),
+
+  changePassword: Joi.object({
+    old_password: Joi.string().required(),
+    new_password: newPassword.required()
+  }),
+
+  changeExpiredPassword: Joi.object({
+    password_token: Joi.string().required(),
+    new_password: newPassword.required()
+  }),
+
+  adminResetPassword: Joi.object({
+    new_password: newPassword.required()
+  }),
+
+  changeEmail: Joi.object({
+    new_email: Joi.string().email().max(100).required(),
+    password: Joi.string().required()
+  }),
+
+  verifyEmailChange: Joi.object({
+    code: Joi.string().length(6).pattern(/^\d+$/).required()
+  }),
+
+  magicLink: Joi.object({
     email: Joi.string().email().required()
   }),
 
+  consumeMagicLink: Joi.object({
+    token: Joi.string().max(100).required()
+  }),
+
+  magicLinkPreference: Joi.object({
+    enabled: Joi.boolean().required()
+  }),
+
+  list: commonSchemas.pagination.keys({
+    username: Joi.string().max(50).optional(),
+    email: Joi.string().max(100).optional(),
+    status: Joi.number().integer().valid(0, 1, 2, 3).optional(),
+    department_id: Joi.number().integer().min(1).optional(),
+    include_children: Joi.boolean().default(true)
+  }),
+
+  refreshToken: Joi.object({
+    refresh_token: Joi.string().required()
+  }),
+
   create: Joi.object({
     username: Joi.string().min(3).max(50).required(),
     email: Joi.string().email().required(),
-    password: Joi.string().min(6).max(50).required(),
+    password: newPassword.required(),
     real_name: Joi.string().max(50).optional(),
     phone: Joi.string()
       .pattern(/^1[3-9]\d{9}$/)
       .optional(),
-    avatar: Joi.string().uri().optional()
+    avatar: Joi.string().uri().optional(),
+    department_id: Joi.number().integer().min(1).optional(),
+    is_leader: Joi.number().integer().valid(0, 1).optional()
   }),
 
   update: Joi.object({
@@ -90,7 +162,146 @@ const userSchemas = {
       .pattern(/^1[3-9]\d{9}$/)
       .optional(),
     avatar: Joi.string().uri().optional(),
+    department_id: Joi.number().integer().min(1).allow(null).optional(),
+    is_leader: Joi.number().integer().valid(0, 1).optional(),
+    status: Joi.number().integer().valid(0, 1).optional(),
+    magic_link_enabled: Joi.number().integer().valid(0, 1).optional()
+  })
+};
+
+// 两步验证相关验证规则
+const totpCode = Joi.string().length(6).pattern(/^\d+$/);
+
+const mfaSchemas = {
+  login: Joi.object({
+    mfa_token: Joi.string().required(),
+    code: totpCode,
+    recovery_code: Joi.string().max(20)
+  }).xor('code', 'recovery_code'),
+
+  loginSetup: Joi.object({
+    mfa_token: Joi.string().required()
+  }),
+
+  loginEnable: Joi.object({
+    mfa_token: Joi.string().required(),
+    code: totpCode.required()
+  }),
+
+  enable: Joi.object({
+    code: totpCode.required()
+  }),
+
+  disable: Joi.object({
+    password: Joi.string().required(),
+    code: totpCode.required()
+  })
+};
+
+// 会话相关验证规则
+const sessionSchemas = {
+  params: Joi.object({
+    id: Joi.string().guid().required()
+  }),
+
+  userParams: Joi.object({
+    id: Joi.number().integer().min(1).required(),
+    sessionId: Joi.string().guid().required()
+  })
+};
+
+// API密钥相关验证规则
+const apiKeySchemas = {
+  create: Joi.object({
+    name: Joi.string().min(1).max(50).required(),
+    permissions: Joi.array()
+      .items(Joi.string().max(100))
+      .min(1)
+      .unique()
+      .required(),
+    allowed_ips: Joi.array()
+      .items(Joi.string().ip({ cidr: 'optional' }))
+      .max(20)
+      .optional(),
+    expires_at: Joi.date().greater('now').optional()
+  })
+};
+
+// 模拟登录相关验证规则
+const impersonationSchemas = {
+  start: Joi.object({
+    reason: Joi.string().max(255).allow('').optional()
+  })
+};
+
+// 注册审核相关验证规则
+const registrationSchemas = {
+  approve: Joi.object({
+    role_ids: Joi.array()
+      .items(Joi.number().integer().min(1))
+      .unique()
+      .default([])
+  }),
+
+  reject: Joi.object({
+    reason: Joi.string().min(1).max(255).required()
+  })
+};
+
+// 用户邀请相关验证规则
+const invitationSchemas = {
+  create: Joi.object({
+    email: Joi.string().email().required(),
+    role_ids: Joi.array()
+      .items(Joi.number().integer().min(1))
+      .unique()
+      .default([])
+  }),
+
+  list: commonSchemas.pagination.keys({
+    email: Joi.string().max(100).optional(),
+    status: Joi.string()
+      .valid('pending', 'expired', 'accepted', 'revoked')
+      .optional()
+  }),
+
+  token: Joi.object({
+    token: Joi.string().max(100).required()
+  }),
+
+  accept: Joi.object({
+    token: Joi.string().max(100).required(),
+    username: Joi.string().min(3).max(50).required(),
+    password: newPassword.required(),
+    real_name: Joi.string().max(50).optional(),
+    phone: Joi.string()
+      .pattern(/^1[3-9]\d{9}$/)
+      .optional()
+  })
+};
+
+// 部门相关验证规则
+const departmentSchemas = {
+  create: Joi.object({
+    name: Joi.string().min(1).max(50).required(),
+    parent_id: Joi.number().integer().min(0).default(0),
+    sort_order: Joi.number().integer().min(0).optional(),
     status: Joi.number().integer().valid(0, 1).optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(1).max(50).optional(),
+    sort_order: Joi.number().integer().min(0).optional(),
+    status: Joi.number().integer().valid(0, 1).optional()
+  }),
+
+  move: Joi.object({
+    parent_id: Joi.number().integer().min(0).required(),
+    sort_order: Joi.number().integer().min(0).optional()
+  }),
+
+  users: commonSchemas.pagination.keys({
+    include_children: Joi.boolean().default(true)
   })
 };
 
@@ -99,25 +310,45 @@ const roleSchemas = {
   create: Joi.object({
     name: Joi.string().min(2).max(50).required(),
     code: Joi.string().min(2).max(50).required(),
-    description: Joi.string().max(255).optional()
+    description: Joi.string().max(255).optional(),
+    parent_id: Joi.number().integer().min(0).default(0),
+    mfa_required: Joi.number().integer().valid(0, 1).optional()
   }),
 
   update: Joi.object({
     name: Joi.string().min(2).max(50).optional(),
     description: Joi.string().max(255).optional(),
+    parent_id: Joi.number().integer().min(0).optional(),
+    mfa_required: Joi.number().integer().valid(0, 1).optional(),
     status: Joi.number().integer().valid(0, 1).optional()
   }),
 
   assignPermissions: Joi.object({
     permission_ids: Joi.array().items(Joi.number().integer().min(1)).required()
+  }),
+
+  dataScope: Joi.object({
+    data_scope: Joi.string()
+      .valid('all', 'dept', 'dept_and_below', 'self', 'custom')
+      .required(),
+    department_ids: Joi.array()
+      .items(Joi.number().integer().min(1))
+      .unique()
+      .default([])
   })
 };
 
+// 权限代码：资源:操作 格式，支持通配符（如 user:*、*）
+const permissionCode = Joi.string()
+  .max(100)
+  .pattern(/^(\*|[\w-]+)(:(\*|[\w-]+))*$/)
+  .messages({ 'string.pattern.base': '权限代码格式不正确，应为 资源:操作，可使用 * 通配' });
+
 // 权限相关验证规则
 const permissionSchemas = {
   create: Joi.object({
     name: Joi.string().min(2).max(50).required(),
-    code: Joi.string().min(2).max(100).required(),
+    code: permissionCode.required(),
     type: Joi.string().valid('menu', 'button', 'api').required(),
     parent_id: Joi.number().integer().min(0).default(0),
     path: Joi.string().max(255).optional(),
@@ -125,7 +356,8 @@ const permissionSchemas = {
       .valid('GET', 'POST', 'PUT', 'DELETE', 'PATCH')
       .optional(),
     icon: Joi.string().max(50).optional(),
-    sort_order: Joi.number().integer().default(0)
+    sort_order: Joi.number().integer().default(0),
+    cover_children: Joi.number().integer().valid(0, 1).optional()
   }),
 
   update: Joi.object({
@@ -138,6 +370,7 @@ const permissionSchemas = {
       .optional(),
     icon: Joi.string().max(50).optional(),
     sort_order: Joi.number().integer().optional(),
+    cover_children: Joi.number().integer().valid(0, 1).optional(),
     status: Joi.number().integer().valid(0, 1).optional()
   })
 };
@@ -146,6 +379,13 @@ module.exports = {
   validateSchema,
   commonSchemas,
   userSchemas,
+  mfaSchemas,
+  sessionSchemas,
+  apiKeySchemas,
+  impersonationSchemas,
+  invitationSchemas,
+  registrationSchemas,
+  departmentSchemas,
   roleSchemas,
   permissionSchemas
 };